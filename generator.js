@@ -30,6 +30,18 @@ let groups = {
         color: "blue",
     },
 
+    Emotes: {
+        id: "emotes",
+        label: "Emotes",
+        color: "blue",
+    },
+
+    Events: {
+        id: "events",
+        label: "Twitch Events",
+        color: "green",
+    },
+
     Theme: {
         id: "theme",
         label: "Theme",
@@ -55,43 +67,123 @@ let fields = [
     { group: groups.Integrations, label: "Check for new stream-chat versions", name: "version_check", type: "checkbox", defaultValue: true, help: "Checks for new versions when starting the overlay and displays a warning when a new version is available." },
     { group: groups.Integrations, label: "Use an alert popup for new versions(read the notice!)", name: "version_alert", type: "checkbox", defaultValue: false, help: "Uses a popup instead of the obnoxiously large notification. CAREFUL: If you have the overlay setup more than once or reload the overlay frequently this might be a bad idea!" },
     { group: groups.Integrations, label: "Streamer.Bot enabled", name: "sb_enabled", type: "checkbox", defaultValue: true, help: "Enables Streamer.Bot websocket integration when active." },
-
-    { group: groups.StreamerBot, label: "Websocket URI", name: "sb_ws_uri", type: "text", defaultValue: "ws://127.0.0.1:8080", help: "The address of your Streamer.Bot. See Streamer.Bot -> Server/Clients -> Websocket Server. Should look like 'ws://ADDRESS:PORT/ENDPOINT" },
+    { group: groups.Integrations, label: "Reconnect", name: "reconnect", type: "checkbox", defaultValue: true, help: "Connects again when the connection to your bot is lost" },
+    { group: groups.Integrations, label: "Reconnect delay", name: "reconnect_delay", type: "number", defaultValue: 1, help: "Seconds until the first reconnect. The delay doubles with every failed attempt" },
+    { group: groups.Integrations, label: "Max. reconnect delay", name: "reconnect_max_delay", type: "number", defaultValue: 60, help: "The longest time in seconds between two reconnects" },
+    { group: groups.Integrations, label: "Connection status", name: "status_style", type: "select", options: ["banner", "dot"], defaultValue: "banner", help: "'banner' shows a notice while the bot isn't connected, 'dot' shows a small coloured dot in the corner all the time" },
+    { group: groups.Integrations, label: "Hide status banner after", name: "status_hide", type: "number", nullable: true, help: "Hides the connection status banner after this many seconds. Leave disabled to show it until the bot is connected" },
+
+    { group: groups.StreamerBot, label: "Websocket URI", name: "sb_ws_uri", type: "text", defaultValue: "ws://127.0.0.1:8080", help: "The address of your Streamer.Bot. See Streamer.Bot -> Server/Clients -> Websocket Server. Should look like 'ws://ADDRESS:PORT/ENDPOINT'. Separate several addresses with commas to connect to more than one Streamer.Bot" },
+    { group: groups.StreamerBot, label: "Websocket password", name: "sb_password", type: "password", nullable: true, help: "The password if authentication is enabled in Streamer.Bot -> Server/Clients -> Websocket Server. Careful: It's visible to anyone who sees the URL" },
     { group: groups.StreamerBot, label: "Twitch", name: "sb_twitch", type: "checkbox", defaultValue: true, help: "Show Twitch messages from Streamer.Bot" },
     { group: groups.StreamerBot, label: "YouTube", name: "sb_youtube", type: "checkbox", defaultValue: true, help: "Show YouTube messages from Streamer.Bot" },
+    { group: groups.StreamerBot, label: "Trovo", name: "sb_trovo", type: "checkbox", defaultValue: true, help: "Show Trovo messages from Streamer.Bot" },
+    { group: groups.StreamerBot, label: "Kick", name: "sb_kick", type: "checkbox", defaultValue: true, help: "Show Kick messages from Streamer.Bot" },
 
     { group: groups.Chat, label: "Cmdprefix", name: "cmdprefix", type: "text", nullable: true, help: "A prefix for bot commands. If this is set, chat messages starting with this won't be displayed" },
     { group: groups.Chat, label: "Bots", name: "bots", type: "text", nullable: true, help: "A comma-separated list of accounts whose messages will not be shown(case-insensitive)" },
-
+    { group: groups.Chat, label: "Blocked words", name: "filter_words", type: "text", nullable: true, help: "A comma-separated list of words that are filtered from messages. Accents, leetspeak like 'b4d' and repeated letters are recognized. Regular expressions can be used as /pattern/flags and are matched against the lower case text" },
+    { group: groups.Chat, label: "Allowed words", name: "filter_allow", type: "text", nullable: true, help: "A comma-separated list of words that are never filtered, even if they contain a blocked word" },
+    { group: groups.Chat, label: "Filter mode", name: "filter_mode", type: "select", options: ["mask", "placeholder", "drop"], defaultValue: "mask", help: "'mask' replaces blocked words with ****, 'placeholder' replaces the whole message and 'drop' doesn't show the message at all" },
+    { group: groups.Chat, label: "Filter placeholder", name: "filter_placeholder", type: "text", defaultValue: "message removed", help: "The text shown instead of filtered messages with the placeholder filter mode" },
+    { group: groups.Chat, label: "Deleted message placeholder", name: "moderation_placeholder", type: "checkbox", defaultValue: false, help: "Replaces the text of deleted messages and messages of banned users with a placeholder instead of removing them. Cleared chats are always removed" },
+    { group: groups.Chat, label: "Placeholder text", name: "moderation_placeholder_text", type: "text", defaultValue: "message deleted", help: "The text shown instead of deleted messages" },
+    { group: groups.Chat, label: "Restore chat after reload", name: "history", type: "checkbox", defaultValue: false, help: "Remembers the latest messages and shows them again when OBS reloads the browser source" },
+    { group: groups.Chat, label: "History size", name: "history_size", type: "number", defaultValue: 50, help: "Number of messages that are restored after a reload. Limited by 'Max. messages' if that is set" },
+    { group: groups.Chat, label: "Group messages", name: "group_messages", type: "checkbox", defaultValue: false, help: "Shows consecutive messages from the same user under one name" },
+    { group: groups.Chat, label: "Group window", name: "group_window", type: "number", defaultValue: 60, help: "Seconds between two messages of a user that still count as one group" },
+    { group: groups.Chat, label: "Mentions", name: "mentions", type: "text", nullable: true, help: "A comma-separated list of names and keywords that highlight a message, e.g. your channel name. Regular expressions can be used as /pattern/flags" },
+    { group: groups.Chat, label: "Min. bits for cheermotes", name: "cheer_min_bits", type: "number", defaultValue: 1, help: "Cheers with fewer bits show the cheer as plain text instead of the animated cheermote" },
+    { group: groups.Chat, label: "Pronouns", name: "pronouns", type: "checkbox", defaultValue: true, help: "Shows the pronouns Twitch users set on pronouns.alejo.io" },
+    { group: groups.Chat, label: "Pronoun display", name: "pronouns_mode", type: "select", options: ["primary", "alternate", "singular", "compact"], defaultValue: "primary", help: "'primary' shows e.g. she/her, 'alternate' adds the alternate pronoun like she/they, 'singular' only shows she and 'compact' shows a small tag with the long form on hover" },
+    { group: groups.Chat, label: "Pronoun brackets", name: "pronouns_brackets", type: "select", options: ["round", "square", "none"], defaultValue: "round", help: "The brackets around pronouns and platform names" },
+    { group: groups.Chat, label: "Pronoun position", name: "pronouns_position", type: "select", options: ["after", "before"], defaultValue: "after", help: "Shows the pronouns before or after the user name" },
+    { group: groups.Chat, label: "Platform names", name: "platforms", type: "checkbox", defaultValue: true, help: "Shows the platform of each message next to the user name" },
+    { group: groups.Chat, label: "Avatars", name: "avatars", type: "checkbox", defaultValue: false, help: "Shows the profile picture of users next to their name. Users without one get their initial in the colour of their platform" },
+    { group: groups.Chat, label: "Avatar size", name: "avatar_size", type: "text", defaultValue: "1.5em", help: "CSS size of the avatars (e.g. 2em, 32px)" },
+    { group: groups.Chat, label: "Avatar shape", name: "avatar_shape", type: "select", options: ["circle", "rounded", "square"], defaultValue: "circle", help: "The shape of the avatars" },
+    { group: groups.Chat, label: "Twitch avatar lookup", name: "avatar_twitch_url", type: "text", nullable: true, help: "Only needed if Streamer.bot sends Twitch messages without the profile picture. If set, missing avatars are looked up here once per user, e.g. https://decapi.me/twitch/avatar/{id}?id=true. Careful: every user in chat is sent to this service. {id} and {name} are replaced with the user's ID and name, the response has to be the image URL" },
+    { group: groups.Chat, label: "Pronouns API URL", name: "pronouns_api", type: "text", nullable: true, defaultValue: "https://api.pronouns.alejo.io/v1", help: "Change this to use a mirror of the pronouns API" },
+    { group: groups.Chat, label: "Pronoun cache (hours)", name: "pronouns_cache_hours", type: "number", defaultValue: 24, help: "How long the pronouns of a user are remembered before they are fetched again" },
+    { group: groups.Chat, label: "Pronouns timeout", name: "pronouns_timeout", type: "number", defaultValue: 5, help: "Seconds to wait for the pronouns API. Messages are shown right away and get their pronouns once they are known" },
+
+    { group: groups.Emotes, label: "BetterTTV", name: "emotes_bttv", type: "checkbox", defaultValue: true, help: "Shows BetterTTV emotes in messages from every platform" },
+    { group: groups.Emotes, label: "FrankerFaceZ", name: "emotes_ffz", type: "checkbox", defaultValue: true, help: "Shows FrankerFaceZ emotes in messages from every platform" },
+    { group: groups.Emotes, label: "7TV", name: "emotes_7tv", type: "checkbox", defaultValue: true, help: "Shows 7TV emotes in messages from every platform, including zero-width emotes" },
+    { group: groups.Emotes, label: "Twitch channel ID", name: "emotes_channel_id", type: "text", nullable: true, help: "The Twitch user ID of the channel whose emotes are loaded. If not set, the channel of your first Streamer.Bot is used" },
+    { group: groups.Emotes, label: "BetterTTV API URL", name: "emotes_bttv_url", type: "text", nullable: true, defaultValue: "https://api.betterttv.net", help: "Change this to use a mirror of the BetterTTV API" },
+    { group: groups.Emotes, label: "FrankerFaceZ API URL", name: "emotes_ffz_url", type: "text", nullable: true, defaultValue: "https://api.frankerfacez.com", help: "Change this to use a mirror of the FrankerFaceZ API" },
+    { group: groups.Emotes, label: "7TV API URL", name: "emotes_7tv_url", type: "text", nullable: true, defaultValue: "https://7tv.io", help: "Change this to use a mirror of the 7TV API" },
+    { group: groups.Emotes, label: "BetterTTV image URL", name: "emotes_bttv_cdn", type: "text", nullable: true, defaultValue: "https://cdn.betterttv.net", help: "Change this to load the BetterTTV emote images from a mirror" },
+    { group: groups.Emotes, label: "FrankerFaceZ image URL", name: "emotes_ffz_cdn", type: "text", nullable: true, defaultValue: "https://cdn.frankerfacez.com", help: "Change this to load the FrankerFaceZ emote images from a mirror" },
+    { group: groups.Emotes, label: "7TV image URL", name: "emotes_7tv_cdn", type: "text", nullable: true, defaultValue: "https://cdn.7tv.app", help: "Change this to load the 7TV emote images from a mirror" },
+
+    { group: groups.Theme, label: "Theme", name: "theme", type: "select", options: Object.keys(THEMES), defaultValue: "default", help: "A built-in look for the chat. Picking a theme resets the other options to its defaults, every option you change afterwards overrides the theme" },
     { group: groups.Theme, label: "Direction (horizontal if enabled)", name: "direction", type: "checkbox", help: "Set to 'horizontal' this will scroll the text from right to left instead of bottom to top" },
+    { group: groups.Theme, label: "Ticker", name: "ticker", type: "checkbox", defaultValue: false, help: "Scrolls a horizontal chat continuously like a news ticker. New messages queue up behind the last one" },
+    { group: groups.Theme, label: "Ticker speed", name: "ticker_speed", type: "number", defaultValue: 80, help: "Scroll speed of the ticker in pixels per second" },
+    { group: groups.Theme, label: "Max. ticker speed", name: "ticker_max_speed", type: "number", defaultValue: 320, help: "The ticker gets faster the more messages are waiting, up to this many pixels per second" },
+    { group: groups.Theme, label: "Ticker when quiet", name: "ticker_idle", type: "select", options: ["pause", "loop"], defaultValue: "pause", help: "'pause' stops the ticker once the last message is visible, 'loop' keeps showing the latest messages again" },
+    { group: groups.Theme, label: "Looped messages", name: "ticker_loop_count", type: "number", defaultValue: 5, help: "Number of latest messages the ticker shows again when chat is quiet" },
     { group: groups.Theme, label: "Bubbles", name: "bubbles", type: "checkbox", help: "Displays bubbles instead of the standard chat log" },
     { group: groups.Theme, label: "Badges", name: "badges", type: "checkbox", help: "If set to false this disable broadcaster/VIP/moderator badges"},
     { group: groups.Theme, label: "Badges on the left", name: "badges_left", type: "checkbox", help: "Moves broadcaster/VIP/moderator badges to the left"},
     { group: groups.Theme, label: "Highlights", name: "highlights", type: "checkbox", defaultValue: true, help: "If set to false this disables visual difference for highlighted messages" },
     { group: groups.Theme, label: "Announcements", name: "announcements", type: "checkbox", defaultValue: true, help: "If set to false this disables announcement messages" },
+    { group: groups.Theme, label: "Cheer tier colours", name: "cheer_tier_style", type: "checkbox", defaultValue: false, help: "Colours the whole message of a cheer in the colour of its bits tier" },
     { group: groups.Theme, label: "Timestamp", name: "timestamp", type: "checkbox", defaultValue: false, help: "If set to true displays the time of the message" },
 
     { group: groups.ThemeText, label: "Fade duration", name: "fade_duration", type: "number", nullable: true, help: "Time in seconds until messages are removed" },
     { group: groups.ThemeText, label: "Max. messages", name: "max_messages", type: "number", nullable: true, help: "Maximum number of messages before old ones get deleted" },
+    { group: groups.ThemeText, label: "Enter animation", name: "animation_in", type: "select", options: ["fade", "slide-left", "slide-right", "slide-bottom", "pop", "typewriter", "none"], defaultValue: "fade", help: "How new messages appear" },
+    { group: groups.ThemeText, label: "Exit animation", name: "animation_out", type: "select", options: ["fade", "slide", "shrink", "none"], defaultValue: "fade", help: "How messages leave the chat after the fade duration or when they are deleted" },
+    { group: groups.ThemeText, label: "Enter animation duration", name: "animation_duration", type: "number", defaultValue: 0.3, help: "Duration of the enter animation in seconds" },
+    { group: groups.ThemeText, label: "Exit animation duration", name: "animation_out_duration", type: "number", defaultValue: 1, help: "Duration of the exit animation in seconds" },
+    { group: groups.ThemeText, label: "Animation easing", name: "animation_easing", type: "text", defaultValue: "ease", help: "A CSS easing function like linear, ease-out or cubic-bezier(0.2, 0.8, 0.2, 1). When your system is set to reduce motion, all animations become a simple fade" },
     { group: groups.ThemeText, label: "Font Family", name: "fontfamily", type: "text", nullable: true, help: "Sets any (locally installed) font" },
     { group: groups.ThemeText, label: "Font size", name: "fontsize", type: "text", nullable: true, help: `${css_size_hint}` },
     { group: groups.ThemeText, label: "Emote size", name: "emote_size", type: "text", nullable: true, help: `${css_size_hint}` },
     { group: groups.ThemeText, label: "Chat Bubble Border Size", name: "bubble_border_size", type: "text", defaultValue: 0, nullable: true, help: `If set overrides chat bubble border size. ${css_size_hint}` },
     { group: groups.ThemeText, label: "Chat Bubble Border Radius", name: "bubble_border_radius", type: "text", defaultValue: 0, nullable: true, help: `If set overrides chat bubble border radius ${css_size_hint}` },
     { group: groups.ThemeText, label: "Timestamp locale", name: "timestamp_locale", type: "text", defaultValue: "en-US", help: "The regional setting to use for the message time as ISO 639-1 language code." },
+    { group: groups.ThemeText, label: "Timestamp format", name: "timestamp_format", type: "text", defaultValue: "locale", help: "'locale', '12h', '24h', 'relative' (e.g. '2m ago') or a custom pattern like 'HH:mm:ss' or 'h:mm a'. Text in [brackets] is shown as it is" },
+    { group: groups.ThemeText, label: "Timestamp with seconds", name: "timestamp_seconds", type: "checkbox", defaultValue: false, help: "Adds the seconds to the 'locale', '12h' and '24h' timestamp formats" },
 
     { group: groups.ThemeColours, label: "Background", name: "background", type: "color", defaultValue: "#FFFFFF", nullable: true, help: "Background of the whole chat page. Careful: By default this will be overridden by OBS" },
     { group: groups.ThemeColours, label: "Chat Bubble Color", name: "bubble_color", type: "color", defaultValue: "#FFFFFF", nullable: true, help: "If set overrides all chat bubble colours" },
     { group: groups.ThemeColours, label: "Chat Bubble Border Color", name: "bubble_border_color", type: "color", defaultValue: "#FFFFFF", nullable: true, help: "If set overrides chat bubble border colour" },
     { group: groups.ThemeColours, label: "Username Color", name: "text_color", type: "color", nullable: true, help: "If set overrides all user name colours"},
     { group: groups.ThemeColours, label: "Message Color", name: "msg_color", type: "color", nullable: true, help: "If set overrides message colours" },
+    { group: groups.ThemeColours, label: "Pastel colours", name: "pastel", type: "checkbox", defaultValue: false, help: "Softens user colours for names and bubbles while keeping their hue, so bright colours don't clash with your layout" },
+    { group: groups.ThemeColours, label: "OBS Backdrop Color", name: "backdrop_color", type: "color", defaultValue: "#000000", nullable: true, help: "The colour of your scene behind the chat. Without bubbles, user names are adjusted until they are readable on it" },
+    { group: groups.ThemeColours, label: "Minimum contrast", name: "min_contrast", type: "number", defaultValue: 4.5, nullable: true, help: "Minimum contrast ratio between user names and their background, from 1 (off) to 21. 4.5 is the WCAG recommendation for normal text" },
     { group: groups.ThemeColours, label: "Default Color", name: "default_color", type: "color", nullable: true, help: "This sets the default background/bubble colour for users who don't have a colour set" },
     { group: groups.ThemeColours, label: "Highlight Color", name: "highlight_color", type: "color", nullable: true, help: "This sets the colour for highlighted messages" },
     { group: groups.ThemeColours, label: "Highlight Background Color", name: "highlight_bg_color", type: "color", nullable: true, help: "This sets the background/bubble colour for highlighted messages" },
+    { group: groups.ThemeColours, label: "Mention Color", name: "mention_color", type: "color", nullable: true, help: "This sets the colour for messages that contain a mention" },
+    { group: groups.ThemeColours, label: "Mention Background Color", name: "mention_bg_color", type: "color", nullable: true, help: "This sets the background/bubble colour for messages that contain a mention" },
     { group: groups.ThemeColours, label: "Announcement Color", name: "announcement_color", type: "color", nullable: true, help: "This sets the colour for announcement messages" },
     { group: groups.ThemeColours, label: "Announcement Background Color", name: "announcement_bg_color", type: "color", nullable: true, help: "This sets the background/bubble colour for announcement messages" },
 ]
 
+const twitchEvents = {
+    sub: "Subscriptions",
+    resub: "Resubscriptions",
+    giftsub: "Gifted subs",
+    giftbomb: "Community gift subs",
+    raid: "Raids",
+    follow: "Follows",
+    cheer: "Cheers",
+}
+
+for (const [event, label] of Object.entries(twitchEvents)) {
+    fields.push(
+        { group: groups.Events, label: label, name: `event_${event}`, type: "checkbox", defaultValue: false, help: `Shows ${label.toLowerCase()} in the chat` },
+        { group: groups.Events, label: `${label} Color`, name: `event_${event}_color`, type: "color", nullable: true, help: `This sets the text colour for ${label.toLowerCase()}` },
+        { group: groups.Events, label: `${label} Background Color`, name: `event_${event}_bg_color`, type: "color", nullable: true, help: `This sets the background/bubble colour for ${label.toLowerCase()}` },
+    );
+}
+
 // OBS will relentlessly ignore any options when dragging a local file:// URL
 // into it. To reduce issues with people getting confused over the settings 
 // not working we just disable the drag button and instead leave the user with
@@ -139,7 +231,7 @@ async function buildMarkup() {
         generatorEl.appendChild(groupEl);
     }
 
-    fields.map(({ group, label, name, type, defaultValue, nullable, help }) => {
+    fields.map(({ group, label, name, type, defaultValue, nullable, help, options }) => {
         const groupEl = document.getElementById("group-" + group.id);
         const rowEl = document.createElement("span");
 
@@ -159,6 +251,18 @@ async function buildMarkup() {
                 });
                 break;
             }
+            case "select": {
+                var inputEl = document.createElement("select");
+                inputEl.name = name;
+                inputEl.append(...options.map((option) => {
+                    const opt = document.createElement("option");
+                    opt.value = option;
+                    opt.text = option;
+                    return opt;
+                }));
+                inputEl.value = defaultValue;
+                break;
+            }
             case "checkbox": {
                 var inputEl = document.createElement("label");
 
@@ -221,7 +325,46 @@ async function buildMarkup() {
         groupEl.append(rowEl);
     })
 
-    
+    buildThemeGallery();
+    generateURL();
+}
+
+const buildThemeGallery = () => {
+    const galleryEl = document.querySelector("#theme-gallery");
+
+    for (const [name, theme] of Object.entries(THEMES)) {
+        const cardEl = document.createElement("a");
+        cardEl.classList.add("theme-card");
+        cardEl.dataset.theme = name;
+        cardEl.title = theme.description;
+        cardEl.innerText = theme.label;
+        cardEl.addEventListener("click", () => applyTheme(name));
+        galleryEl.append(cardEl);
+    }
+}
+
+// Resets the form to the defaults of a theme and previews it
+const applyTheme = (name) => {
+    fields.forEach(({ name: fieldName, type, defaultValue }) => {
+        const el = document.querySelector(`[name="${fieldName}"]`);
+        if (!el) {
+            return;
+        }
+
+        if (type === "checkbox") {
+            el.checked = defaultValue === true;
+            el.dispatchEvent(new Event("change"));
+        } else if (type !== "fontlist") {
+            el.value = defaultValue || "";
+        }
+
+        const nullable = document.querySelector(`#${fieldName}_nullable`);
+        if (nullable) {
+            nullable.checked = false;
+        }
+    });
+
+    loadParams(new URLSearchParams({ ...THEMES[name].params, theme: name }));
     generateURL();
 }
 
@@ -271,8 +414,10 @@ const generateURL = () => {
                 searchParams.append(key, "horizontal");
             }
 
-            // Colour values
-            if (value[0] === "#") {
+            // Colour values are passed without the '#', other values like
+            // passwords can start with one
+            const input = document.querySelector(`[name="${key}"]`);
+            if (input && input.type === "color" && value[0] === "#") {
                 value = value.slice(1)
             }
 
@@ -339,6 +484,28 @@ const copyToClipBoard = () => {
     });
 }
 
+const loadParams = (params) => {
+    for (const [key, value] of params) {
+        const el = document.querySelector(`[name="${key}"]`);
+        if (el) {
+            if (el.type === "checkbox") {
+                el.checked = value === "true" || (key === "direction" && value === "horizontal");
+                el.dispatchEvent(new Event("change"));
+            } else {
+                if (el.type === "color") {
+                    el.value = `#${value}`;
+                } else {
+                    el.value = value;
+                }
+                const nullable = document.querySelector(`#${key}_nullable`)
+                if (nullable) {
+                    nullable.checked = true;
+                }
+            }
+        }
+    }
+}
+
 const loadFromUrl = () => {
     let url = loadUrlEl.value;
     if (!url) { return; }
@@ -365,28 +532,7 @@ const loadFromUrl = () => {
         }
     }
 
-    for (const [key, value] of url.searchParams) {
-        console.log(["Loading value: ", key, value])
-        const el = document.querySelector(`[name="${key}"]`);
-        if (el) {
-            if (el.type === "checkbox") {
-                el.checked = value === "true";
-                el.dispatchEvent(new Event("change"));
-            } else {
-                if (el.type === "color") {
-                    console.log(["color: ", value, el.name])
-                    el.value = `#${value}`;
-                } else {
-                    el.value = value;
-                }
-                const nullable = document.querySelector(`#${key}_nullable`)
-                if (nullable) {
-                    nullable.checked = true;
-                }
-            }
-        }
-    }
-
+    loadParams(url.searchParams);
     generateURL();
 
     showToast("Loaded from url!", "success");
@@ -471,6 +617,13 @@ directionEl.addEventListener("change", (e) => {
     changeDirection(e.target.checked);
 });
 
+// Picking a theme resets the other options to its defaults, just like the
+// gallery does, otherwise the URL would override the theme
+const themeEl = document.querySelector("select[name=theme]");
+themeEl.addEventListener("change", (e) => {
+    applyTheme(e.target.value);
+});
+
 const sb_enabled = document.querySelector("input[name=sb_enabled]");
 
 sb_enabled.addEventListener("change", (e) => {
@@ -483,3 +636,24 @@ sb_enabled.addEventListener("change", (e) => {
         sb_group.classList.add("group-closed");
     }
 });
+
+const sb_ws_uri = document.querySelector("input[name=sb_ws_uri]");
+
+sb_ws_uri.addEventListener("change", (e) => {
+    // Several Streamer.Bots can be separated by commas
+    const valid = e.target.value.split(",").every((uri) => {
+        try {
+            const url = new URL(uri.trim());
+            return url.protocol === "ws:" || url.protocol === "wss:";
+        } catch (_err) {
+            return false;
+        }
+    });
+
+    if (valid) {
+        e.target.setCustomValidity("");
+    } else {
+        e.target.setCustomValidity("Invalid websocket URI");
+        showToast("Invalid websocket URI. It should look like ws://127.0.0.1:8080/ or wss://example.com/", "error");
+    }
+});
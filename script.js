@@ -1,12 +1,44 @@
 
 
+/**
+ * @returns {string} The name of the theme selected in the URL
+ */
+function get_theme_name() {
+  const theme = new URLSearchParams(window.location.search).get('theme');
+  if (
+    theme !== null &&
+    Object.prototype.hasOwnProperty.call(THEMES, theme.toLowerCase())
+  ) {
+    return theme.toLowerCase();
+  }
+
+  return 'default';
+}
+
+/**
+ * @returns {URLSearchParams} The URL parameters on top of the defaults of
+ *                            the selected theme
+ */
+function get_search_params() {
+  const url_params = new URLSearchParams(window.location.search);
+  const params = new URLSearchParams(THEMES[get_theme_name()]['params']);
+  for (const key of url_params.keys()) {
+    params.delete(key);
+  }
+  for (const [key, value] of url_params) {
+    params.append(key, value);
+  }
+
+  return params;
+}
+
 /**
  * @param {string} p The search parameter name
  * @param {boolean} d The default value
  * @returns {boolean} The value of the search parameter, or the default value if the parameter is not set.
  */
 function searchParamIsTrue(p, d = false) {
-  let v = new URLSearchParams(window.location.search).get(p);
+  let v = get_search_params().get(p);
   if (v === undefined || v === null) {
     return d;
   }
@@ -15,7 +47,7 @@ function searchParamIsTrue(p, d = false) {
 }
 
 function searchParamOrDefault(p, d = null) {
-  let v = new URLSearchParams(window.location.search).get(p);
+  let v = get_search_params().get(p);
   if (v === null) {
     return d;
   }
@@ -28,20 +60,17 @@ function htmlentities(str) {
   });
 }
 
-const host = searchParamOrDefault('host', '127.0.0.1');
-const port = searchParamOrDefault('port', 8080);
-const client = new StreamerbotClient({
-  scheme: 'ws',
-  host: host,
-  port: port,
-  onConnect: (sbInfo) => {
-    const sbName = sbInfo.name;
-    console.log(`Connected to Streamer.bot '${sbName}' on ${host}:${port}`);
-  },
-  onDisconnect: () => {
-    console.warn('Disconnected from Streamer.Bot socket.');
-  },
-});
+/**
+ * @param {string} str The text to hash
+ * @returns {string} A short hash of the text, not meant to be secure
+ */
+function hash_string(str) {
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    hash = (Math.imul(hash, 31) + str.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+}
 
 const STREAMCHAT_VERSION = '0.3.3';
 const STREAMCHAT_GH_USER = 'rondhi';
@@ -73,63 +102,121 @@ class ConnectionStatus {
   static ERROR = 3;
 
   /**
+   * The status of every registered plugin, see Plugins.register
    * @type {Object.<string, number>}
    */
-  status = {
-    StreamerBot: ConnectionStatus.DISCONNECTED,
-    BeanBot: ConnectionStatus.DISCONNECTED,
-  };
+  status = {};
+
+  /**
+   * The timeout hiding the banner, see the status_hide option
+   * @type {number|null}
+   */
+  hide_timeout = null;
+
+  /**
+   * Whether a source is not connected since the last time all were, the
+   * banner is only shown and timed once per outage
+   * @type {boolean}
+   */
+  outage = false;
 
   update() {
     let status = ConnectionStatus.CONNECTED;
-    for (let key in this.status) {
-      if (
-        !Object.prototype.hasOwnProperty.call(
-          config['plugins'],
-          key.toLowerCase()
-        ) ||
-        config['plugins'][key.toLowerCase()]['enabled'] == false
-      ) {
+    let pending = [];
+    for (const plugin of Plugins.registered) {
+      if (!Plugins.enabled(plugin)) {
         continue;
       }
 
-      if (this.status[key] == ConnectionStatus.DISCONNECTED) {
+      const plugin_status = this.status[plugin.name];
+      if (plugin_status !== ConnectionStatus.CONNECTED) {
+        pending.push(plugin.name);
+      }
+
+      if (plugin_status == ConnectionStatus.DISCONNECTED) {
         status = ConnectionStatus.DISCONNECTED;
-        break;
-      } else if (this.status[key] == ConnectionStatus.CONNECTING) {
+      } else if (
+        plugin_status == ConnectionStatus.ERROR &&
+        status !== ConnectionStatus.DISCONNECTED
+      ) {
+        status = ConnectionStatus.ERROR;
+      } else if (
+        plugin_status == ConnectionStatus.CONNECTING &&
+        status === ConnectionStatus.CONNECTED
+      ) {
         status = ConnectionStatus.CONNECTING;
       }
     }
 
     let status_text = '',
+      status_name = '',
       status_div = document.getElementById('connection-status');
 
     switch (status) {
       case ConnectionStatus.DISCONNECTED:
         status_text = 'disconnected. Is your bot running?';
-        status_div.style.display = 'block';
+        status_name = 'disconnected';
         break;
       case ConnectionStatus.CONNECTING:
         status_text = 'connecting';
-        status_div.style.display = 'block';
+        status_name = 'connecting';
         break;
       case ConnectionStatus.CONNECTED:
-        status_div.style.display = 'none';
+        status_text = 'connected';
+        status_name = 'connected';
         break;
       case ConnectionStatus.ERROR:
         status_text = 'experiencing an error';
-        status_div.style.display = 'block';
+        status_name = 'error';
         break;
     }
 
+    // With several sources it helps to know which ones aren't connected
+    if (Object.keys(this.status).length > 1 && pending.length > 0) {
+      status_text += ` (${pending.join(', ')})`;
+    }
+
+    status_div.dataset.status = status_name;
+
+    // The dot stays visible and only changes its colour
+    if (config['connection']['status_style'] === 'dot') {
+      status_div.classList.add('status-dot');
+      status_div.title = 'You are currently ' + status_text;
+      status_div.innerText = '';
+      status_div.style.display = 'block';
+      return;
+    }
+
     status_div.innerText = 'You are currently ' + status_text;
+    if (status === ConnectionStatus.CONNECTED) {
+      clearTimeout(this.hide_timeout);
+      this.hide_timeout = null;
+      this.outage = false;
+      status_div.style.display = 'none';
+      return;
+    }
+
+    // Reconnect attempts switch between the states that aren't connected,
+    // they only update the text of the banner
+    if (this.outage) {
+      return;
+    }
+
+    this.outage = true;
+    status_div.style.display = 'block';
+    if (config['connection']['status_hide'] > 0) {
+      this.hide_timeout = setTimeout(() => {
+        status_div.style.display = 'none';
+      }, config['connection']['status_hide'] * 1000);
+    }
   }
 }
 
-const PLUGIN_LIST = Object.keys(new ConnectionStatus().status);
+const is_plugin_status = (target, name) =>
+  Object.prototype.hasOwnProperty.call(target['status'], name);
 window.CONNECTION_STATUS = new Proxy(new ConnectionStatus(), {
   get(target, name, receiver) {
-    if (PLUGIN_LIST.includes(name)) {
+    if (is_plugin_status(target, name)) {
       return Reflect.get(target['status'], name, receiver);
     } else {
       return Reflect.get(target, name, receiver);
@@ -137,7 +224,7 @@ window.CONNECTION_STATUS = new Proxy(new ConnectionStatus(), {
   },
 
   set(target, name, value, receiver) {
-    if (PLUGIN_LIST.includes(name)) {
+    if (is_plugin_status(target, name)) {
       target['status'][name] = value;
       target.update();
     } else {
@@ -146,6 +233,121 @@ window.CONNECTION_STATUS = new Proxy(new ConnectionStatus(), {
   },
 });
 
+/**
+ * Chat sources are plugins that translate the events of a bot or service into
+ * the normalized events of Chat, so the rendering doesn't need to know where
+ * a message came from. A plugin is an object with
+ *
+ *   name:         Unique name used for its ConnectionStatus, e.g. 'StreamerBot'
+ *   config:       The key of its config in config['plugins'], lowercased name
+ *                 if not set. Several plugins can share one config
+ *   connect():    Connects to the source and starts sending events to Chat
+ *   disconnect(): Closes the connection
+ *
+ * Plugins report their connection state with Plugins.status().
+ */
+const Plugins = {
+  /**
+   * @type {object[]}
+   */
+  registered: [],
+
+  /**
+   * @param {object} plugin The plugin to add
+   */
+  register(plugin) {
+    this.registered.push(plugin);
+    window.CONNECTION_STATUS['status'][plugin.name] =
+      ConnectionStatus.DISCONNECTED;
+  },
+
+  /**
+   * @param {object} plugin The plugin
+   * @returns {boolean} Whether the plugin is enabled in the config
+   */
+  enabled(plugin) {
+    const plugin_config =
+      config['plugins'][plugin.config || plugin.name.toLowerCase()];
+    return plugin_config !== undefined && plugin_config['enabled'] === true;
+  },
+
+  /**
+   * Pending reconnects by plugin name
+   * @type {Object.<string, {attempts: number, timeout: number|null}>}
+   */
+  reconnects: {},
+
+  /**
+   * @param {object} plugin The plugin reporting its state
+   * @param {number} status One of the ConnectionStatus values
+   */
+  status(plugin, status) {
+    if (status === ConnectionStatus.CONNECTED) {
+      delete this.reconnects[plugin.name];
+    }
+
+    window.CONNECTION_STATUS[plugin.name] = status;
+  },
+
+  /**
+   * Connects a plugin again after it lost its connection. The delay doubles
+   * with every failed attempt up to the reconnect_max_delay option.
+   *
+   * @param {object} plugin The disconnected plugin
+   */
+  reconnect(plugin) {
+    if (config['connection']['reconnect'] !== true) {
+      return;
+    }
+
+    if (!this.reconnects[plugin.name]) {
+      this.reconnects[plugin.name] = { attempts: 0, timeout: null };
+    }
+
+    const state = this.reconnects[plugin.name];
+    if (state.timeout !== null) {
+      return;
+    }
+
+    const delay = Math.min(
+      config['connection']['reconnect_delay'] * 2 ** state.attempts,
+      config['connection']['reconnect_max_delay']
+    );
+    state.attempts++;
+
+    console.debug(`Reconnecting ${plugin.name} in ${delay} seconds`);
+    state.timeout = setTimeout(() => {
+      state.timeout = null;
+      this.status(plugin, ConnectionStatus.CONNECTING);
+      plugin.connect();
+    }, delay * 1000);
+  },
+
+  /**
+   * Connects all enabled plugins
+   */
+  connect() {
+    for (const plugin of this.registered.filter((p) => this.enabled(p))) {
+      this.status(plugin, ConnectionStatus.CONNECTING);
+      plugin.connect();
+    }
+  },
+
+  /**
+   * Disconnects all enabled plugins
+   */
+  disconnect() {
+    for (const plugin of this.registered.filter((p) => this.enabled(p))) {
+      if (this.reconnects[plugin.name]) {
+        clearTimeout(this.reconnects[plugin.name].timeout);
+        delete this.reconnects[plugin.name];
+      }
+      plugin.disconnect();
+      this.status(plugin, ConnectionStatus.DISCONNECTED);
+    }
+  },
+};
+
 /**
  * Checks the current version of streamchat against the latest release on GitHub.
  * @returns {string} A message indicating whether the current version is up to date or not.
@@ -218,19 +420,118 @@ function createElement(tag, attributes, text = false) {
   return element;
 }
 
+/**
+ * Twitch events that can be shown in the chat, each with its own
+ * event_NAME, event_NAME_color and event_NAME_bg_color parameters
+ */
+const TWITCH_EVENTS = [
+  'sub',
+  'resub',
+  'giftsub',
+  'giftbomb',
+  'raid',
+  'follow',
+  'cheer',
+];
+
+/**
+ * Characters that are read as letters when filtering words
+ */
+const FILTER_LEETSPEAK = {
+  0: 'o',
+  1: 'i',
+  3: 'e',
+  4: 'a',
+  5: 's',
+  7: 't',
+  8: 'b',
+  '@': 'a',
+  $: 's',
+  '!': 'i',
+  '|': 'l',
+};
+
+/**
+ * Lower cases a text and removes accents and leetspeak, so "Ünfa1r" becomes
+ * "unfair". Every character is replaced by exactly one character, so
+ * positions in the result are the same as in the text.
+ *
+ * @param {string} text The text to normalize
+ * @returns {string} The normalized text
+ */
+function normalize_filter_text(text) {
+  let normalized = '';
+  for (const char of text) {
+    let plain = char.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+    if (plain.length !== char.length) {
+      plain =
+        char.toLowerCase().length === char.length ? char.toLowerCase() : char;
+    }
+    normalized += FILTER_LEETSPEAK[plain] ?? plain;
+  }
+  return normalized;
+}
+
+/**
+ * Splits a comma-separated list of keywords and /regular expressions/.
+ * Commas inside a regular expression, e.g. /a{1,3}/, don't split it.
+ *
+ * @param {string} list The list from the URL
+ * @returns {string[]} The trimmed items without empty ones
+ */
+function split_patterns(list) {
+  let items = [];
+  let item = '';
+  let in_regex = false;
+  let in_class = false;
+
+  for (let i = 0; i < list.length; i++) {
+    const char = list[i];
+    if (in_regex) {
+      item += char;
+      if (char === '\\' && i + 1 < list.length) {
+        item += list[++i];
+      } else if (char === '[') {
+        in_class = true;
+      } else if (char === ']') {
+        in_class = false;
+      } else if (char === '/' && !in_class) {
+        in_regex = false;
+      }
+      continue;
+    }
+
+    if (char === ',') {
+      items.push(item);
+      item = '';
+      continue;
+    }
+
+    if (char === '/' && item.trim() === '') {
+      in_regex = true;
+    }
+    item += char;
+  }
+
+  // A regular expression that isn't closed is split like plain keywords
+  items = items.concat(in_regex ? item.split(',') : [item]);
+
+  return items.map((item) => item.trim()).filter((item) => item !== '');
+}
+
 function parseURL() {
-  let url = new URL(document.URL);
+  const params = get_search_params();
 
   let direction = 'vertical';
-  if (url.searchParams.get('direction') !== null) {
+  if (params.get('direction') !== null) {
     direction =
-      url.searchParams.get('direction').toLowerCase() === 'horizontal'
+      params.get('direction').toLowerCase() === 'horizontal'
         ? 'horizontal'
         : 'vertical';
   }
 
   const get_color = (p, d = null) => {
-    let u = url.searchParams.get(p);
+    let u = params.get(p);
     if (u === null) {
       return d;
     }
@@ -254,26 +555,88 @@ function parseURL() {
       text: get_color('highlight_color'),
       background: get_color('highlight_bg_color'),
     },
+    events: {},
+    mention: {
+      text: get_color('mention_color'),
+      background: get_color('mention_bg_color'),
+    },
     default: get_color('default_color', {
       r: 'ff',
       g: 'e0',
       b: 'f0',
     }),
     pastel: searchParamIsTrue('pastel'),
+    backdrop: get_color('backdrop_color'),
     bubble_border: get_color('bubble_border_color'),
   };
 
+  let events = {};
+  for (const event of TWITCH_EVENTS) {
+    events[event] = searchParamIsTrue(`event_${event}`);
+    colors['events'][event] = {
+      text: get_color(`event_${event}_color`),
+      background: get_color(`event_${event}_bg_color`),
+    };
+  }
+
+  // Keywords and /regular expressions/ that highlight a message
+  let mentions = [];
+  if (params.get('mentions') !== null) {
+    for (const mention of split_patterns(params.get('mentions'))) {
+      const regex = mention.match(/^\/(.+)\/([a-z]*)$/);
+      try {
+        if (regex !== null) {
+          mentions.push(new RegExp(regex[1], regex[2].replace('g', '') + 'g'));
+        } else {
+          const keyword = mention.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+          mentions.push(new RegExp(`(?<!\\w)@?${keyword}(?!\\w)`, 'gi'));
+        }
+      } catch (error) {
+        console.error(`Invalid mention pattern '${mention}': ${error}`);
+      }
+    }
+  }
+
+  // Blocked and allowed words and /regular expressions/. Both are matched
+  // against the normalized text, see normalize_filter_text
+  const get_filter_patterns = (name) => {
+    let patterns = [];
+    if (params.get(name) === null) {
+      return patterns;
+    }
+
+    for (const word of split_patterns(params.get(name))) {
+      const regex = word.match(/^\/(.+)\/([a-z]*)$/);
+      try {
+        if (regex !== null) {
+          patterns.push({
+            regex: new RegExp(regex[1], regex[2].replace('g', '') + 'g'),
+            word: false,
+          });
+        } else {
+          // Letters may be repeated, e.g. "baaad" for "bad"
+          const letters = Array.from(normalize_filter_text(word))
+            .map((char) => char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '+')
+            .join('');
+          patterns.push({ regex: new RegExp(letters, 'g'), word: true });
+        }
+      } catch (error) {
+        console.error(`Invalid filter pattern '${word}': ${error}`);
+      }
+    }
+    return patterns;
+  };
+
   let cmdprefix = null;
-  if (url.searchParams.get('cmdprefix') !== null) {
-    cmdprefix = url.searchParams.get('cmdprefix');
+  if (params.get('cmdprefix') !== null) {
+    cmdprefix = params.get('cmdprefix');
   }
 
   let bot_list = [];
-  if (url.searchParams.get('bots') !== null) {
-    bot_list = url.searchParams.get('bots').toLowerCase().split(',');
+  if (params.get('bots') !== null) {
+    bot_list = params.get('bots').toLowerCase().split(',');
   }
 
-  // TODO: Implement different timestamp formats
   let timestamp = false;
   let timestamp_locale = 'en-US';
   let timestamp_options = {
@@ -281,12 +644,18 @@ function parseURL() {
     minute: '2-digit',
   };
 
-  if (url.searchParams.get('timestamp') !== null) {
+  // One of 'locale', '12h', '24h', 'relative' or a custom pattern
+  let timestamp_format = searchParamOrDefault('timestamp_format', 'locale');
+  if (searchParamIsTrue('timestamp_seconds')) {
+    timestamp_options['second'] = '2-digit';
+  }
+
+  if (params.get('timestamp') !== null) {
     timestamp = searchParamIsTrue('timestamp');
   }
 
-  if (url.searchParams.get('timestamp_locale') !== null) {
-    timestamp_locale = url.searchParams.get('timestamp_locale');
+  if (params.get('timestamp_locale') !== null) {
+    timestamp_locale = params.get('timestamp_locale');
   }
 
   // Streamer.Bot specific configuration
@@ -296,12 +665,19 @@ function parseURL() {
     twitch: false,
     youtube: false,
     trovo: false,
-    websocket: '',
+    kick: false,
+    websockets: [],
   };
   if (streamerbotEnabled === searchParamIsTrue('sb_enabled', true)) {
     let sb_ws_uri = 'ws://127.0.0.1:8080/';
-    if (url.searchParams.get('sb_ws_uri') !== null) {
-      sb_ws_uri = decodeURI(url.searchParams.get('sb_ws_uri'));
+    if (params.get('sb_ws_uri') !== null) {
+      sb_ws_uri = decodeURI(params.get('sb_ws_uri'));
+    } else if (params.get('host') !== null || params.get('port') !== null) {
+      // Older overlays set the address with separate host and port params
+      sb_ws_uri = `ws://${searchParamOrDefault(
+        'host',
+        '127.0.0.1'
+      )}:${searchParamOrDefault('port', 8080)}/`;
     }
 
     streamerbotConfig = {
@@ -309,7 +685,13 @@ function parseURL() {
       twitch: searchParamIsTrue('sb_twitch', true),
       youtube: searchParamIsTrue('sb_youtube', true),
       trovo: searchParamIsTrue('sb_trovo', true),
-      websocket: sb_ws_uri,
+      kick: searchParamIsTrue('sb_kick', true),
+      // Several instances can be connected with a comma-separated list
+      websockets: sb_ws_uri
+        .split(',')
+        .map((uri) => uri.trim())
+        .filter((uri) => uri !== ''),
+      password: searchParamOrDefault('sb_password', null),
     };
   }
 
@@ -328,6 +710,7 @@ function parseURL() {
       },
     },
     ui: {
+      theme: get_theme_name(),
       direction: direction,
       bubbles: {
         enabled: searchParamIsTrue('bubbles'),
@@ -341,18 +724,100 @@ function parseURL() {
         enabled: timestamp,
         locale: timestamp_locale,
         options: timestamp_options,
+        format: timestamp_format,
       },
       fade_duration: searchParamOrDefault('fade_duration', false),
       max_messages: searchParamOrDefault('max_messages', false),
+      ticker: {
+        enabled: direction === 'horizontal' && searchParamIsTrue('ticker'),
+        speed: parseFloat(searchParamOrDefault('ticker_speed', 80)),
+        max_speed: parseFloat(searchParamOrDefault('ticker_max_speed', 320)),
+        idle:
+          searchParamOrDefault('ticker_idle', 'pause').toLowerCase() === 'loop'
+            ? 'loop'
+            : 'pause',
+        loop_count: parseInt(searchParamOrDefault('ticker_loop_count', 5)),
+      },
+      animation: {
+        enter: [
+          'none',
+          'fade',
+          'slide-left',
+          'slide-right',
+          'slide-bottom',
+          'pop',
+          'typewriter',
+        ].includes(searchParamOrDefault('animation_in', 'fade').toLowerCase())
+          ? searchParamOrDefault('animation_in', 'fade').toLowerCase()
+          : 'fade',
+        exit: ['none', 'fade', 'slide', 'shrink'].includes(
+          searchParamOrDefault('animation_out', 'fade').toLowerCase()
+        )
+          ? searchParamOrDefault('animation_out', 'fade').toLowerCase()
+          : 'fade',
+        duration: parseFloat(searchParamOrDefault('animation_duration', 0.3)),
+        exit_duration: parseFloat(
+          searchParamOrDefault('animation_out_duration', 1)
+        ),
+        easing:
+          /^(linear|ease(-in|-out|-in-out)?|step-(start|end)|(cubic-bezier|steps|linear)\([\w\s.,%-]*\))$/i.test(
+            searchParamOrDefault('animation_easing', 'ease')
+          )
+            ? searchParamOrDefault('animation_easing', 'ease')
+            : 'ease',
+      },
+      grouping: {
+        enabled: searchParamIsTrue('group_messages'),
+        window: parseFloat(searchParamOrDefault('group_window', 60)),
+      },
       pronouns: searchParamIsTrue('pronouns', true),
+      pronoun_display: {
+        mode: ['primary', 'alternate', 'singular', 'compact'].includes(
+          searchParamOrDefault('pronouns_mode', 'primary').toLowerCase()
+        )
+          ? searchParamOrDefault('pronouns_mode', 'primary').toLowerCase()
+          : 'primary',
+        brackets: {
+          round: ['(', ')'],
+          square: ['[', ']'],
+          none: ['', ''],
+        }[searchParamOrDefault('pronouns_brackets', 'round').toLowerCase()] || [
+          '(',
+          ')',
+        ],
+        position:
+          searchParamOrDefault('pronouns_position', 'after').toLowerCase() ===
+          'before'
+            ? 'before'
+            : 'after',
+      },
       platforms: searchParamIsTrue('platforms', true),
+      avatars: {
+        enabled: searchParamIsTrue('avatars'),
+        size: searchParamOrDefault('avatar_size', '1.5em'),
+        shape: ['circle', 'rounded', 'square'].includes(
+          searchParamOrDefault('avatar_shape', 'circle').toLowerCase()
+        )
+          ? searchParamOrDefault('avatar_shape', 'circle').toLowerCase()
+          : 'circle',
+        // Twitch avatars missing in the messages are only looked up if a
+        // service is set, since every user in chat is sent to it
+        twitch_url: searchParamOrDefault('avatar_twitch_url', ''),
+      },
       highlights: searchParamIsTrue('highlights', true),
       announcements: searchParamIsTrue('announcements', true),
+      events: events,
+      mentions: mentions,
       badges: {
         enabled: searchParamIsTrue('badges', true),
         left: searchParamIsTrue('badges_left'),
       },
       emote_size: searchParamOrDefault('emote_size', '1.4rem'),
+      min_contrast: parseFloat(searchParamOrDefault('min_contrast', 4.5)),
+      cheers: {
+        min_bits: parseInt(searchParamOrDefault('cheer_min_bits', 1)),
+        tier_style: searchParamIsTrue('cheer_tier_style'),
+      },
       font: {
         family: searchParamOrDefault('fontfamily', 'Open Sans'),
         size: searchParamOrDefault('fontsize', 'large'),
@@ -362,6 +827,85 @@ function parseURL() {
       cmdprefix: cmdprefix,
       bots: bot_list,
     },
+    filter: {
+      words: get_filter_patterns('filter_words'),
+      allow: get_filter_patterns('filter_allow'),
+      mode: ['mask', 'placeholder', 'drop'].includes(
+        searchParamOrDefault('filter_mode', 'mask').toLowerCase()
+      )
+        ? searchParamOrDefault('filter_mode', 'mask').toLowerCase()
+        : 'mask',
+      placeholder_text: searchParamOrDefault(
+        'filter_placeholder',
+        'message removed'
+      ),
+    },
+    emotes: {
+      bttv: searchParamIsTrue('emotes_bttv', true),
+      ffz: searchParamIsTrue('emotes_ffz', true),
+      seventv: searchParamIsTrue('emotes_7tv', true),
+      channel_id: searchParamOrDefault('emotes_channel_id', null),
+      urls: {
+        bttv: searchParamOrDefault(
+          'emotes_bttv_url',
+          'https://api.betterttv.net'
+        ).replace(/\/+$/, ''),
+        ffz: searchParamOrDefault(
+          'emotes_ffz_url',
+          'https://api.frankerfacez.com'
+        ).replace(/\/+$/, ''),
+        seventv: searchParamOrDefault(
+          'emotes_7tv_url',
+          'https://7tv.io'
+        ).replace(/\/+$/, ''),
+      },
+      cdns: {
+        bttv: searchParamOrDefault(
+          'emotes_bttv_cdn',
+          'https://cdn.betterttv.net'
+        ).replace(/\/+$/, ''),
+        ffz: searchParamOrDefault(
+          'emotes_ffz_cdn',
+          'https://cdn.frankerfacez.com'
+        ).replace(/\/+$/, ''),
+        seventv: searchParamOrDefault(
+          'emotes_7tv_cdn',
+          'https://cdn.7tv.app'
+        ).replace(/\/+$/, ''),
+      },
+    },
+    history: {
+      enabled: searchParamIsTrue('history'),
+      size: parseInt(searchParamOrDefault('history_size', 50)),
+    },
+    connection: {
+      reconnect: searchParamIsTrue('reconnect', true),
+      reconnect_delay: parseFloat(searchParamOrDefault('reconnect_delay', 1)),
+      reconnect_max_delay: parseFloat(
+        searchParamOrDefault('reconnect_max_delay', 60)
+      ),
+      status_style:
+        searchParamOrDefault('status_style', 'banner').toLowerCase() === 'dot'
+          ? 'dot'
+          : 'banner',
+      status_hide: parseFloat(searchParamOrDefault('status_hide', 0)),
+    },
+    moderation: {
+      placeholder: searchParamIsTrue('moderation_placeholder'),
+      placeholder_text: searchParamOrDefault(
+        'moderation_placeholder_text',
+        'message deleted'
+      ),
+    },
+    pronouns: {
+      api: searchParamOrDefault(
+        'pronouns_api',
+        'https://api.pronouns.alejo.io/v1'
+      ).replace(/\/+$/, ''),
+      cache_ttl:
+        parseFloat(searchParamOrDefault('pronouns_cache_hours', 24)) * 3600000,
+      timeout: parseFloat(searchParamOrDefault('pronouns_timeout', 5)) * 1000,
+    },
     debug: searchParamIsTrue('debug'),
     version: {
       current: STREAMCHAT_VERSION,
@@ -376,156 +920,549 @@ const config = parseURL();
 console.debug(`Starting stream chat version ${STREAMCHAT_VERSION}`);
 console.debug(['Loaded config', config]);
 
-let pronouns_users = {},
-  pronouns;
-let pronounStr = '';
-let usePronouns = config.ui.pronouns;
-
-// Fill the pronoun cache
-try {
-  fetch('https://api.pronouns.alejo.io/v1/pronouns')
-    .then((response) => response.json())
-    .then((data) => {
-      pronouns = data;
-      // console.table(pronouns);
-    })
-    .catch((error) => {
-      console.error(`Failed to fetch pronouns: ${error}`);
-    });
-} catch (error) {
-  console.error(`Failed fetching pronouns: ${error}`);
-}
-
-/**
- * Get the pronoun for a user and cache it for future use
- *
- * @param {string} user The user to get the pronoun for
- * @returns {object} The pronoun for the user
- */
-async function fetch_pronoun(user) {
-  user = user.toLowerCase();
-
-  if (user in pronouns_users) {
-    return pronouns_users[user];
-  } else {
-    const response = await fetch(
-      `https://api.pronouns.alejo.io/v1/users/${user}`
-    );
-    const data = await response.json();
-
-    // Store the fetched data in the pronoun_users object
-    pronouns_users[user] = data.pronoun_id;
-    // console.log(`pronounId for '${user}': '${data.pronoun_id}'`);
-  }
-}
-
 /**
- * Get the pronoun for a user.
- * This is a wrapper for fetch_pronoun() that returns either the pronoun or false when pronouns are disabled,
- * when pronouns for the user aren't set or the API is unavailable.
+ * Creates a function that runs tasks, but only `concurrency` at the same
+ * time. The other tasks wait until one of the running ones is done.
  *
- * @param {string} user The user to get the pronoun for
- * @returns {string} The pronoun for the user
+ * @param {number} concurrency Maximum number of tasks running at once
+ * @returns {function(function(): Promise): Promise} Runs a task and returns
+ *                                                  its result
  */
-function get_pronoun(user) {
-  user = user.toLowerCase();
-
-  if (
-    config['ui']['pronouns'] === true &&
-    user in pronouns_users &&
-    pronouns_users[user] !== undefined
-  ) {
-    const pronounId = pronouns_users[user];
-    if (pronounId === 'any') {
-      return 'Any';
-    } else if (pronouns[pronounId]) {
-      return `(${pronouns[pronounId].subject}/${pronouns[pronounId].object})`; // Adjust based on how you want to display the pronoun
+function create_limiter(concurrency) {
+  let active = 0;
+  const queue = [];
+
+  return async (task) => {
+    if (active >= concurrency) {
+      // The finished task hands its slot over to us
+      await new Promise((resolve) => queue.push(resolve));
     } else {
-      return '';
+      active++;
     }
-  } else {
-    return false;
-  }
+
+    try {
+      return await task();
+    } finally {
+      const next = queue.shift();
+      if (next) {
+        next();
+      } else {
+        active--;
+      }
+    }
+  };
 }
 
 /**
- * Get the text colour for a user.
- * TODO: change color to RGB object
- *
- * @param {Color} color The user's text color
- * @returns {string} The calculated color according to settings
+ * Pronouns from the alejo.io API, cached in the local storage. Requests for
+ * the same user are shared and only a few run at the same time, so a raid
+ * doesn't flood the API.
  */
-function get_text_color(color, noDefault = false) {
-  // TODO pastel mode for text color
-  if (config['ui']['colors']['text'] && noDefault === false) {
-    return config['ui']['colors']['text'];
-  }
+const Pronouns = {
+  key: `${STREAMCHAT_GH_REPO}.pronouns`,
 
-  let color_r = parseInt(color.r, 16);
-  let color_g = parseInt(color.g, 16);
-  let color_b = parseInt(color.b, 16);
+  /**
+   * The pronoun sets by id, null until they are loaded
+   * @type {Object.<string, object>|null}
+   */
+  definitions: null,
 
-  let brightness = Math.round(
-    (parseInt(color_r) * 299 +
-      parseInt(color_g) * 587 +
-      parseInt(color_b) * 114) /
-      1000
-  );
+  /**
+   * When the pronoun sets were fetched
+   * @type {number}
+   */
+  definitions_time: 0,
 
-  if (brightness < 125) {
-    return {
-      r: 'FF',
-      g: 'FF',
-      b: 'FF',
-    };
-  } else {
-    return {
-      r: '00',
-      g: '00',
-      b: '00',
-    };
-  }
-}
+  /**
+   * Cached pronoun ids by lowercase user name
+   * @type {Object.<string, {id: string|null, alt_id: string|null, time: number}>}
+   */
+  users: {},
 
-/**
- * Get the background color for a user.
- * @param {Color} color An RGB tuple of the user's text color
- * @param {string} override_source Config attribute to take for overrides
- * @returns {Color} The background color for the user
- */
-function get_user_color(color, override_source = 'text_background') {
-  // TODO pastel mode for background color
-  if (config['ui']['colors'][override_source]) {
-    return config['ui']['colors'][override_source];
-  }
+  /**
+   * Requests that are still running by lowercase user name
+   * @type {Map<string, Promise>}
+   */
+  pending: new Map(),
 
-  if (color === null || color === undefined) {
-    return config['ui']['colors']['default'];
-  } else {
-    return color;
-  }
-}
+  /**
+   * Runs the requests, at most four at the same time
+   * @type {function(function(): Promise): Promise}
+   */
+  limit: create_limiter(4),
 
-/**
- * Returns a normalized version of the given color as RGB struct.
- * @param {string} color A string containing a color in hexadecimal RGB notation
- * @returns {Color} The normalized color tuple
- */
-function get_color(color) {
-  if (color === null || color === undefined) {
-    return config['ui']['colors']['default'];
-  } else {
-    color = color.replace('#', '');
-    return {
-      r: color.slice(0, 2),
-      g: color.slice(2, 4),
-      b: color.slice(4, 6),
-    };
-  }
-}
+  /**
+   * No requests are sent until this time after the API failed
+   * @type {number}
+   */
+  unavailable_until: 0,
 
-/**
- * Returns a hex code from an RGB color struct.
+  /**
+   * Users waiting for the next batch of lookups, with the function that
+   * resolves their pending lookup
+   * @type {Map<string, function(object|null)>}
+   */
+  batch: new Map(),
+
+  /**
+   * Milliseconds to collect users for a batch, so a raid is looked up and
+   * saved in one go instead of message by message
+   * @type {number}
+   */
+  batch_delay: 100,
+  batch_timeout: null,
+
+  /**
+   * The running request for the pronoun sets
+   * @type {Promise|null}
+   */
+  definitions_request: null,
+
+  /**
+   * @param {object} entry A cached user or the cached definitions
+   * @returns {boolean} True if the entry is older than the cache TTL
+   */
+  expired(entry) {
+    return Date.now() - entry.time >= config['pronouns']['cache_ttl'];
+  },
+
+  load() {
+    try {
+      const stored = JSON.parse(window.localStorage.getItem(this.key)) || {};
+      if (stored.definitions && !this.expired(stored.definitions)) {
+        this.definitions = stored.definitions.data;
+        this.definitions_time = stored.definitions.time;
+      }
+      for (const [user, entry] of Object.entries(stored.users || {})) {
+        if (!this.expired(entry)) {
+          this.users[user] = entry;
+        }
+      }
+    } catch (error) {
+      console.error(`Failed to load pronoun cache: ${error}`);
+    }
+  },
+
+  save() {
+    try {
+      window.localStorage.setItem(
+        this.key,
+        JSON.stringify({
+          definitions:
+            this.definitions !== null
+              ? { time: this.definitions_time, data: this.definitions }
+              : null,
+          users: this.users,
+        })
+      );
+    } catch (error) {
+      console.error(`Failed to save pronoun cache: ${error}`);
+    }
+  },
+
+  /**
+   * @param {string} path The API path, e.g. /pronouns
+   * @returns {Promise<object|null>} The response, null if nothing was found
+   */
+  async request(path) {
+    if (Date.now() < this.unavailable_until) {
+      throw new Error('API unavailable');
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(
+      () => controller.abort(),
+      config['pronouns']['timeout']
+    );
+
+    try {
+      const response = await fetch(`${config['pronouns']['api']}${path}`, {
+        signal: controller.signal,
+      });
+      if (response.status === 404) {
+        return null;
+      }
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return await response.json();
+    } catch (error) {
+      // Give the API a minute before trying again
+      this.unavailable_until = Date.now() + 60000;
+      throw error;
+    } finally {
+      clearTimeout(timeout);
+    }
+  },
+
+  /**
+   * Loads the pronoun sets from the API unless they are known. If the API
+   * is unavailable, the next lookup tries again.
+   *
+   * @returns {Promise} Resolves once the sets are loaded or failed to load
+   */
+  load_definitions() {
+    if (this.definitions !== null) {
+      return Promise.resolve();
+    }
+
+    if (this.definitions_request === null) {
+      this.definitions_request = this.request('/pronouns')
+        .then((definitions) => {
+          this.definitions = definitions;
+          this.definitions_time = Date.now();
+          this.save();
+        })
+        .catch((error) => {
+          console.error(`Failed to fetch pronouns: ${error}`);
+        })
+        .finally(() => {
+          this.definitions_request = null;
+        });
+    }
+    return this.definitions_request;
+  },
+
+  /**
+   * Loads the pronoun sets from the cache or the API
+   */
+  async initialize() {
+    this.load();
+    await this.load_definitions();
+  },
+
+  /**
+   * Get the pronoun ids for a user and cache them for future use. Lookups
+   * are collected for a moment and sent as one batch.
+   * Never throws, an outdated or empty entry is used when the API fails.
+   *
+   * @param {string} user The user to get the pronouns for
+   * @returns {Promise<object|null>} The cached entry of the user
+   */
+  fetch(user) {
+    user = user.toLowerCase();
+
+    const cached = this.users[user];
+    if (cached && !this.expired(cached)) {
+      return Promise.resolve(cached);
+    }
+
+    if (!this.pending.has(user)) {
+      this.pending.set(
+        user,
+        new Promise((resolve) => this.batch.set(user, resolve))
+      );
+      if (this.batch_timeout === null) {
+        this.batch_timeout = setTimeout(() => this.flush(), this.batch_delay);
+      }
+    }
+    return this.pending.get(user);
+  },
+
+  /**
+   * Looks up the users of the current batch, a few at a time, and saves
+   * the cache once they are done
+   */
+  async flush() {
+    const batch = this.batch;
+    this.batch = new Map();
+    this.batch_timeout = null;
+
+    // The pronoun sets are needed to show the looked up pronouns
+    await this.load_definitions();
+
+    await Promise.all(
+      [...batch].map(async ([user, resolve]) => {
+        try {
+          const data = await this.limit(() =>
+            this.request(`/users/${encodeURIComponent(user)}`)
+          );
+          this.users[user] = {
+            id: (data && data.pronoun_id) || null,
+            alt_id: (data && data.alt_pronoun_id) || null,
+            time: Date.now(),
+          };
+        } catch (error) {
+          console.debug(`Failed to fetch pronouns of '${user}': ${error}`);
+        }
+
+        this.pending.delete(user);
+        resolve(this.users[user] || null);
+      })
+    );
+
+    this.save();
+  },
+
+  /**
+   * Get the pronoun for a user from the cache, formatted according to the
+   * pronouns_mode option.
+   *
+   * @param {string} user The user to get the pronoun for
+   * @returns {{text: string, full: string}|null} The pronoun to show and its
+   *          long form, null if it isn't known
+   */
+  get(user) {
+    const entry = this.users[user.toLowerCase()];
+    if (!entry || entry.id === null) {
+      return null;
+    }
+
+    const primary = this.definitions !== null && this.definitions[entry.id];
+    if (!primary) {
+      return entry.id === 'any' ? { text: 'Any', full: 'Any' } : null;
+    }
+    const alternate =
+      entry.alt_id !== null && this.definitions[entry.alt_id]
+        ? this.definitions[entry.alt_id]
+        : null;
+
+    // Sets like "Any" or "Other" only have a singular form
+    const forms = {
+      primary: primary.singular
+        ? primary.subject
+        : `${primary.subject}/${primary.object}`,
+      singular: primary.subject,
+    };
+    forms['alternate'] =
+      alternate !== null
+        ? `${primary.subject}/${alternate.subject}`
+        : forms['primary'];
+    forms['compact'] = forms['singular'];
+
+    return {
+      text: forms[config['ui']['pronoun_display']['mode']],
+      full: forms['alternate'],
+    };
+  },
+};
+
+if (config['ui']['pronouns'] === true) {
+  Pronouns.initialize();
+}
+
+/**
+ * Colour calculations based on the WCAG 2 definitions of relative luminance
+ * and contrast ratio. All functions take and return RGB color structs.
+ */
+const Colors = {
+  BLACK: { r: '00', g: '00', b: '00' },
+  WHITE: { r: 'FF', g: 'FF', b: 'FF' },
+
+  /**
+   * @param {Color} color An RGB color struct
+   * @returns {number} The relative luminance between 0 and 1
+   */
+  luminance(color) {
+    const channel = (hex) => {
+      const c = parseInt(hex, 16) / 255;
+      return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    };
+    return (
+      0.2126 * channel(color.r) +
+      0.7152 * channel(color.g) +
+      0.0722 * channel(color.b)
+    );
+  },
+
+  /**
+   * @param {Color} a An RGB color struct
+   * @param {Color} b An RGB color struct
+   * @returns {number} The contrast ratio between 1 and 21
+   */
+  contrast(a, b) {
+    const la = this.luminance(a);
+    const lb = this.luminance(b);
+    return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+  },
+
+  /**
+   * @param {Color} a An RGB color struct
+   * @param {Color} b An RGB color struct
+   * @param {number} amount How much of b to mix into a, between 0 and 1
+   * @returns {Color} The mixed color
+   */
+  mix(a, b, amount) {
+    const channel = (x, y) =>
+      Math.round(parseInt(x, 16) * (1 - amount) + parseInt(y, 16) * amount)
+        .toString(16)
+        .padStart(2, '0');
+    return {
+      r: channel(a.r, b.r),
+      g: channel(a.g, b.g),
+      b: channel(a.b, b.b),
+    };
+  },
+
+  /**
+   * @param {Color} background The background color
+   * @returns {Color} Black or white, whichever is easier to read
+   */
+  readable(background) {
+    return this.contrast(this.BLACK, background) >=
+      this.contrast(this.WHITE, background)
+      ? this.BLACK
+      : this.WHITE;
+  },
+
+  /**
+   * Mixes a color towards white or black until it reaches the minimum
+   * contrast to the background, keeping as much of the color as possible.
+   *
+   * @param {Color} color The foreground color
+   * @param {Color|null} background The background color, null if unknown
+   * @param {number} ratio The minimum contrast ratio
+   * @returns {Color} The adjusted color
+   */
+  ensure_contrast(color, background, ratio = config['ui']['min_contrast']) {
+    if (background === null || background === undefined || !(ratio > 1)) {
+      return color;
+    }
+
+    const target = this.readable(background);
+    let adjusted = color;
+    // Integer steps, adding up 0.05 would miss the last step by a rounding
+    // error
+    for (
+      let i = 1;
+      i <= 20 && this.contrast(adjusted, background) < ratio;
+      i++
+    ) {
+      adjusted = this.mix(color, target, i / 20);
+    }
+
+    return adjusted;
+  },
+};
+
+/**
+ * @returns {Color|null} The color behind the chat when bubbles are disabled,
+ *                       null if it's not configured
+ */
+function get_backdrop_color() {
+  return (
+    config['ui']['colors']['page_background'] ||
+    config['ui']['colors']['backdrop'] ||
+    null
+  );
+}
+
+/**
+ * Get the text colour for a background.
+ *
+ * @param {Color} color The background color
+ * @param {boolean} noDefault Ignore the configured text color
+ * @returns {Color} The calculated color according to settings
+ */
+function get_text_color(color, noDefault = false) {
+  if (config['ui']['colors']['text'] && noDefault === false) {
+    return config['ui']['colors']['text'];
+  }
+
+  // In pastel mode the background is already softened, so this picks a
+  // readable text colour for it
+  return Colors.readable(color);
+}
+
+/**
+ * Get the background color for a user.
+ * @param {Color} color An RGB tuple of the user's text color
+ * @param {string} override_source Config attribute to take for overrides
+ * @returns {Color} The background color for the user
+ */
+function get_user_color(color, override_source = 'text_background') {
+  if (config['ui']['colors'][override_source]) {
+    return config['ui']['colors'][override_source];
+  }
+
+  if (color === null || color === undefined) {
+    return config['ui']['colors']['default'];
+  } else if (config['ui']['colors']['pastel'] === true) {
+    return get_pastel_color(color);
+  } else {
+    return color;
+  }
+}
+
+/**
+ * Softens a color by mixing it towards white while keeping its hue.
+ * Colors that are already soft stay the same, so calling this twice
+ * doesn't change the result.
+ *
+ * @param {Color} color An RGB color struct
+ * @returns {Color} The pastel version of the color
+ */
+function get_pastel_color(color) {
+  let r = parseInt(color.r, 16) / 255;
+  let g = parseInt(color.g, 16) / 255;
+  let b = parseInt(color.b, 16) / 255;
+
+  // RGB to HSL
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  let h = 0;
+  let s = 0;
+  let l = (max + min) / 2;
+
+  if (max !== min) {
+    const d = max - min;
+    s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    if (max === r) {
+      h = (g - b) / d + (g < b ? 6 : 0);
+    } else if (max === g) {
+      h = (b - r) / d + 2;
+    } else {
+      h = (r - g) / d + 4;
+    }
+    h /= 6;
+  }
+
+  s = Math.min(s, 0.75);
+  l = Math.max(l, 0.8);
+
+  // HSL to RGB
+  const hue_to_rgb = (p, q, t) => {
+    if (t < 0) t += 1;
+    if (t > 1) t -= 1;
+    if (t < 1 / 6) return p + (q - p) * 6 * t;
+    if (t < 1 / 2) return q;
+    if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+    return p;
+  };
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  const to_hex = (v) =>
+    Math.round(v * 255)
+      .toString(16)
+      .padStart(2, '0');
+
+  return {
+    r: to_hex(hue_to_rgb(p, q, h + 1 / 3)),
+    g: to_hex(hue_to_rgb(p, q, h)),
+    b: to_hex(hue_to_rgb(p, q, h - 1 / 3)),
+  };
+}
+
+/**
+ * Returns a normalized version of the given color as RGB struct.
+ * @param {string} color A string containing a color in hexadecimal RGB notation
+ * @returns {Color} The normalized color tuple
+ */
+function get_color(color) {
+  if (color === null || color === undefined) {
+    return config['ui']['colors']['default'];
+  } else {
+    color = color.replace('#', '');
+    return {
+      r: color.slice(0, 2),
+      g: color.slice(2, 4),
+      b: color.slice(4, 6),
+    };
+  }
+}
+
+/**
+ * Returns a hex code from an RGB color struct.
  * @param {Color} color An RGB color struct
  * @returns {string} A hex color code
  */
@@ -540,514 +1477,2611 @@ function get_color_hex(color) {
 }
 
 /**
- * Enum to differenciate between different highlight styles
- * Currently only used for Twitch messages
+ * Converts the different timestamp formats of the platforms to a date.
+ *
+ * @param {Date|number|string} timestamp A date, a unix timestamp in seconds or
+ *                                       milliseconds or a date string
+ * @returns {Date|null} The date or null if the timestamp is empty or invalid
+ */
+function parse_timestamp(timestamp) {
+  if (timestamp instanceof Date) {
+    return isNaN(timestamp.getTime()) ? null : timestamp;
+  }
+
+  if (typeof timestamp === 'string' && /^\d+$/.test(timestamp)) {
+    timestamp = parseInt(timestamp);
+  }
+
+  let date = null;
+  if (typeof timestamp === 'number') {
+    if (timestamp > 1e12) {
+      date = new Date(timestamp);
+    } else if (timestamp > 1e9) {
+      date = new Date(timestamp * 1000);
+    }
+  } else if (typeof timestamp === 'string' && timestamp !== '') {
+    date = new Date(timestamp);
+  }
+
+  return date !== null && !isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * @param {Date} date The time of the message
+ * @returns {string} The time as text like '2m ago'
+ */
+function format_relative_time(date) {
+  const seconds = Math.max(0, Math.floor((Date.now() - date.getTime()) / 1000));
+  if (seconds < 60) {
+    return 'just now';
+  } else if (seconds < 60 * 60) {
+    return `${Math.floor(seconds / 60)}m ago`;
+  } else if (seconds < 24 * 60 * 60) {
+    return `${Math.floor(seconds / (60 * 60))}h ago`;
+  }
+  return `${Math.floor(seconds / (24 * 60 * 60))}d ago`;
+}
+
+/**
+ * Formats the time of a message according to the timestamp_format setting.
+ * Custom patterns support HH, H, hh, h, mm, m, ss, s, A and a, text in
+ * [brackets] is kept as it is.
+ *
+ * @param {Date} date The time of the message
+ * @returns {string} The formatted time
+ */
+function format_timestamp(date) {
+  const locale = config['ui']['timestamp']['locale'];
+  const options = config['ui']['timestamp']['options'];
+
+  switch (config['ui']['timestamp']['format']) {
+    case 'locale':
+      return date.toLocaleTimeString(locale, options);
+    case '12h':
+      return date.toLocaleTimeString(locale, { ...options, hour12: true });
+    case '24h':
+      return date.toLocaleTimeString(locale, { ...options, hourCycle: 'h23' });
+    case 'relative':
+      return format_relative_time(date);
+  }
+
+  const pad = (n) => String(n).padStart(2, '0');
+  const hours = date.getHours();
+  const hours12 = hours % 12 === 0 ? 12 : hours % 12;
+  const tokens = {
+    HH: pad(hours),
+    H: hours,
+    hh: pad(hours12),
+    h: hours12,
+    mm: pad(date.getMinutes()),
+    m: date.getMinutes(),
+    ss: pad(date.getSeconds()),
+    s: date.getSeconds(),
+    A: hours < 12 ? 'AM' : 'PM',
+    a: hours < 12 ? 'am' : 'pm',
+  };
+
+  return config['ui']['timestamp']['format'].replace(
+    /\[([^\]]*)]|HH|H|hh|h|mm|m|ss|s|A|a/g,
+    (match, literal) => (literal !== undefined ? literal : tokens[match])
+  );
+}
+
+/**
+ * Updates all relative timestamps, e.g. from '1m ago' to '2m ago'
+ */
+function update_relative_timestamps() {
+  for (const el_timestamp of document.querySelectorAll(
+    '.msg-timestamp[data-time]'
+  )) {
+    el_timestamp.innerText = format_relative_time(
+      new Date(parseInt(el_timestamp.dataset.time))
+    );
+  }
+}
+
+/**
+ * Enum to differenciate between different highlight styles
+ * Currently used for Twitch and Trovo messages and Twitch events.
+ * The lowercase description of an event is its key in TWITCH_EVENTS.
+ */
+const Highlights = {
+  None: Symbol('None'),
+  Highlight: Symbol('Highlight'),
+  Mention: Symbol('Mention'),
+  Announcement: Symbol('Announcement'),
+  Sub: Symbol('Sub'),
+  ReSub: Symbol('ReSub'),
+  GiftSub: Symbol('GiftSub'),
+  GiftBomb: Symbol('GiftBomb'),
+  Raid: Symbol('Raid'),
+  Follow: Symbol('Follow'),
+  Cheer: Symbol('Cheer'),
+};
+
+/**
+ * @param {Symbol} highlight A Highlights value
+ * @returns {string|null} The event key of the highlight, null if it's no event
+ */
+function get_event_key(highlight) {
+  const key = highlight.description.toLowerCase();
+  return TWITCH_EVENTS.includes(key) ? key : null;
+}
+
+/**
+ * Wraps everything matching the mentions config in the text of a message
+ * with a span. Emotes and other elements stay untouched.
+ *
+ * @param {string} message The message as HTML
+ * @returns {{message: string, found: boolean}} The marked message and whether
+ *                                              anything was found
+ */
+function mark_mentions(message) {
+  const patterns = config['ui']['mentions'];
+  if (patterns.length === 0) {
+    return { message: message, found: false };
+  }
+
+  let el_message = document.createElement('span');
+  el_message.innerHTML = message;
+  let found = false;
+
+  const walker = document.createTreeWalker(el_message, NodeFilter.SHOW_TEXT);
+  let nodes = [];
+  while (walker.nextNode()) {
+    // Restored messages already contain the marks
+    if (!walker.currentNode.parentNode.classList.contains('mention-match')) {
+      nodes.push(walker.currentNode);
+    }
+  }
+
+  for (let node of nodes) {
+    for (;;) {
+      // Find the first match of all patterns
+      let first = null;
+      for (const pattern of patterns) {
+        pattern.lastIndex = 0;
+        const match = pattern.exec(node.nodeValue);
+        if (
+          match !== null &&
+          match[0].length > 0 &&
+          (first === null || match.index < first.index)
+        ) {
+          first = match;
+        }
+      }
+
+      if (first === null) {
+        break;
+      }
+
+      found = true;
+      const el_match = createElement('span', { class: 'mention-match' });
+      const matched = node.splitText(first.index);
+      node = matched.splitText(first[0].length);
+      el_match.textContent = matched.nodeValue;
+      matched.replaceWith(el_match);
+    }
+  }
+
+  return { message: el_message.innerHTML, found: found };
+}
+
+/**
+ * Looks for the blocked words of filter_words in the text of a message.
+ * Emotes and other elements stay untouched. With filter_mode mask the
+ * matches are replaced by asterisks, with placeholder the whole message is.
+ *
+ * @param {string} message The message as HTML
+ * @returns {{message: string, found: boolean}} The filtered message and
+ *                                              whether anything was found
+ */
+function filter_message(message) {
+  const filter = config['filter'];
+  if (filter['words'].length === 0) {
+    return { message: message, found: false };
+  }
+
+  let el_message = document.createElement('span');
+  el_message.innerHTML = message;
+  let found = false;
+
+  const walker = document.createTreeWalker(el_message, NodeFilter.SHOW_TEXT);
+  let nodes = [];
+  while (walker.nextNode()) {
+    nodes.push(walker.currentNode);
+  }
+
+  for (const node of nodes) {
+    const text = node.nodeValue;
+    const normalized = normalize_filter_text(text);
+
+    // Words have to stand alone in the original text, the leetspeak
+    // in "b@d!" turns the "!" into a letter
+    const matches = (pattern) =>
+      Array.from(normalized.matchAll(pattern['regex']))
+        .map((match) => [match.index, match.index + match[0].length])
+        .filter(
+          ([start, end]) =>
+            end > start &&
+            (!pattern['word'] ||
+              !/[\p{L}\p{N}]/u.test(text.charAt(start - 1) + text.charAt(end)))
+        );
+
+    // Allowed words win over blocked words inside them
+    const allowed = filter['allow'].flatMap(matches);
+    const masked = filter['words']
+      .flatMap(matches)
+      .filter(
+        ([start, end]) =>
+          !allowed.some(([from, to]) => from <= start && end <= to)
+      );
+
+    if (masked.length === 0) {
+      continue;
+    }
+
+    found = true;
+    let chars = text.split('');
+    for (const [start, end] of masked) {
+      chars.fill('*', start, end);
+    }
+    node.nodeValue = chars.join('');
+  }
+
+  if (found && filter['mode'] === 'placeholder') {
+    return {
+      message: createElement(
+        'span',
+        { class: 'msg-filtered' },
+        filter['placeholder_text']
+      ).outerHTML,
+      found: true,
+    };
+  }
+
+  return { message: el_message.innerHTML, found: found };
+}
+
+/**
+ * Names of the platforms for the platform label
+ */
+const PLATFORM_NAMES = {
+  twitch: 'Twitch',
+  youtube: 'YouTube',
+  trovo: 'Trovo',
+  kick: 'Kick',
+};
+
+/**
+ * Profile pictures of users, kept for the session. Streamer.bot sends them
+ * with the messages. Twitch users without one are looked up once if the
+ * avatar_twitch_url option is set.
+ */
+const Avatars = {
+  /**
+   * Avatar URLs by platform and user id, null if a user has none
+   * @type {Map<string, string|null>}
+   */
+  cache: new Map(),
+
+  /**
+   * Lookups that are still running, so every user is only looked up once
+   * @type {Map<string, Promise<string|null>>}
+   */
+  pending: new Map(),
+
+  /**
+   * Runs the lookups, at most two at the same time, so a raid doesn't flood
+   * the lookup service
+   * @type {function(function(): Promise): Promise}
+   */
+  limit: create_limiter(2),
+
+  /**
+   * @param {object} author The author of a message
+   * @returns {string} The cache key of the author
+   */
+  key(author) {
+    return `${author['platform']}:${author['id']}`;
+  },
+
+  /**
+   * @param {object} author The author of a message
+   * @returns {Promise<string|null>} The avatar URL, null if there is none
+   */
+  async fetch(author) {
+    const key = this.key(author);
+    if (this.cache.has(key)) {
+      return this.cache.get(key);
+    }
+    if (this.pending.has(key)) {
+      return this.pending.get(key);
+    }
+
+    // The preview uses made up users
+    const url = config['ui']['avatars']['twitch_url'];
+    if (author['platform'] !== 'twitch' || !url || config['debug'] === true) {
+      this.cache.set(key, null);
+      return null;
+    }
+
+    const request = this.limit(async () => {
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), 5000);
+      try {
+        const response = await fetch(
+          url
+            .replaceAll('{id}', encodeURIComponent(author['id']))
+            .replaceAll('{name}', encodeURIComponent(author['name'])),
+          { signal: controller.signal }
+        );
+        // The lookup answers with the plain URL of the image
+        const avatar = response.ok ? (await response.text()).trim() : '';
+        this.cache.set(key, /^https?:\/\/\S+$/.test(avatar) ? avatar : null);
+      } catch (error) {
+        console.debug(
+          `Failed to look up avatar of ${author['name']}: ${error}`
+        );
+        this.cache.set(key, null);
+      } finally {
+        clearTimeout(timeout);
+        this.pending.delete(key);
+      }
+      return this.cache.get(key);
+    });
+
+    this.pending.set(key, request);
+    return request;
+  },
+
+  /**
+   * Shows the first letter of the name in the platform colour
+   *
+   * @param {HTMLElement} el_avatar The avatar element
+   * @param {object} author The author of the message
+   */
+  initial(el_avatar, author) {
+    el_avatar.replaceChildren(
+      (Array.from(String(author['name']).trim())[0] || '?').toUpperCase()
+    );
+    el_avatar.classList.add('avatar-initial');
+  },
+
+  /**
+   * @param {HTMLElement} el_avatar The avatar element
+   * @param {object} author The author of the message
+   * @param {string} url The avatar URL
+   */
+  image(el_avatar, author, url) {
+    const el_image = createElement('img', { src: url, alt: '' });
+    el_image.addEventListener('error', () => {
+      this.cache.set(this.key(author), null);
+      this.initial(el_avatar, author);
+    });
+    el_avatar.classList.remove('avatar-initial');
+    el_avatar.replaceChildren(el_image);
+  },
+
+  /**
+   * Creates the avatar of a message. Until the avatar is known, or if the
+   * user has none, it shows the initial of the user.
+   *
+   * @param {object} author The author of the message
+   * @returns {HTMLElement} The avatar element
+   */
+  element(author) {
+    const el_avatar = createElement('span', {
+      class: `msg-avatar avatar-${config['ui']['avatars']['shape']}`,
+    });
+
+    // Avatars sent with the message are the most recent ones
+    if (author['avatar']) {
+      this.cache.set(this.key(author), author['avatar']);
+    }
+
+    const url = this.cache.get(this.key(author));
+    if (url) {
+      this.image(el_avatar, author, url);
+      return el_avatar;
+    }
+
+    this.initial(el_avatar, author);
+    if (url === undefined) {
+      this.fetch(author).then((url) => {
+        if (url) {
+          this.image(el_avatar, author, url);
+        }
+      });
+    }
+    return el_avatar;
+  },
+};
+
+/**
+ * @param {{text: string, full: string}|string} pronoun The pronoun of a user
+ * @returns {HTMLElement} The pronoun tag for the user line
+ */
+function create_pronoun_element(pronoun) {
+  const [bracket_open, bracket_close] =
+    config['ui']['pronoun_display']['brackets'];
+
+  if (typeof pronoun === 'string') {
+    // Older history entries store the pronoun and platform as text
+    return createElement('span', { class: 'msg-pronoun' }, pronoun);
+  }
+
+  if (config['ui']['pronoun_display']['mode'] === 'compact') {
+    // The short form is swapped for the long one on hover by the CSS
+    return createElement('span', {
+      class: 'msg-pronoun pronoun-compact',
+      title: pronoun['full'],
+      'data-short': pronoun['text'],
+      'data-full': pronoun['full'],
+    });
+  }
+
+  return createElement(
+    'span',
+    {
+      class: `msg-pronoun pronoun-${config['ui']['pronoun_display']['mode']}`,
+      title: pronoun['full'],
+    },
+    `${bracket_open}${pronoun['text']}${bracket_close}`
+  );
+}
+
+/**
+ * Puts a pronoun tag right before the user name or in front of the other
+ * tags after it, depending on pronouns_position
+ *
+ * @param {HTMLElement} el_user The user line of a message
+ * @param {HTMLElement} el_pronoun The pronoun tag
+ */
+function place_pronoun(el_user, el_pronoun) {
+  if (config['ui']['pronoun_display']['position'] === 'before') {
+    // The name is the only text in the user line
+    const el_name = Array.from(el_user.childNodes).find(
+      (node) => node.nodeType === Node.TEXT_NODE
+    );
+    el_user.insertBefore(el_pronoun, el_name || null);
+    return;
+  }
+
+  let el_tags = el_user.querySelector('.msg-tags');
+  if (el_tags === null) {
+    el_tags = createElement('span', { class: 'msg-tags' });
+    el_user.appendChild(el_tags);
+  }
+  el_tags.prepend(el_pronoun);
+}
+
+/**
+ * Adds a pronoun that was looked up after its message was shown
+ *
+ * @param {HTMLElement} div_message The message
+ * @param {{text: string, full: string}} pronoun The pronoun of the author
+ */
+function add_late_pronoun(div_message, pronoun) {
+  const el_user = div_message.querySelector('.msg-user');
+  if (el_user === null || el_user.querySelector('.msg-pronoun') !== null) {
+    return;
+  }
+
+  place_pronoun(el_user, create_pronoun_element(pronoun));
+  Ticker.resize(div_message);
+  ChatHistory.update(
+    (entry) => entry.id === div_message.id,
+    (entry) => ({ ...entry, author: { ...entry.author, pronoun: pronoun } })
+  );
+}
+
+let add_message = (
+  id,
+  message,
+  author,
+  color,
+  timestamp,
+  badges = [],
+  highlight = Highlights.None,
+  received = Date.now()
+) => {
+  // Blocked words are filtered after the emotes were parsed, so emote names
+  // can't be mangled
+  const filtered = filter_message(message);
+  if (filtered.found && config['filter']['mode'] === 'drop') {
+    console.debug(`Dropping filtered message ${id}`);
+    return null;
+  }
+  message = filtered.message;
+
+  const mentions = mark_mentions(message);
+  message = mentions.message;
+  if (mentions.found && highlight === Highlights.None) {
+    highlight = Highlights.Mention;
+  }
+
+  let background_color = get_user_color(color);
+  let text_color = get_text_color(background_color);
+
+  let el_badges = createElement('span', { class: 'msg-badges' });
+  let el_message = createElement('span', { class: 'msg-text' });
+  let el_user = createElement('span', { class: 'msg-user' }, author.name);
+  let el_tags = createElement('span', { class: 'msg-tags' });
+
+  const [bracket_open, bracket_close] =
+    config['ui']['pronoun_display']['brackets'];
+
+  if (
+    config['ui']['platforms'] === true &&
+    PLATFORM_NAMES[author['platform']] &&
+    typeof author['pronoun'] !== 'string'
+  ) {
+    el_tags.appendChild(
+      createElement(
+        'span',
+        { class: 'msg-platform' },
+        `${bracket_open}${PLATFORM_NAMES[author['platform']]}${bracket_close}`
+      )
+    );
+  }
+
+  let div_message = createElement('div', {
+    id: id,
+    'data-user-id': author['id'],
+    class: 'chat-message',
+  });
+
+  const event_key = get_event_key(highlight);
+
+  // let message_class = [];
+  if (highlight !== Highlights.None) {
+    if (
+      highlight === Highlights.Highlight &&
+      config['ui']['highlights'] === true
+    ) {
+      div_message.classList.add('highlight');
+    } else if (highlight === Highlights.Announcement) {
+      div_message.classList.add('announcement');
+    } else if (highlight === Highlights.Mention) {
+      div_message.classList.add('mention');
+    } else if (event_key !== null) {
+      div_message.classList.add('event', `event-${event_key}`);
+    }
+  }
+
+  if (config['ui']['bubbles']['enabled'] === true) {
+    div_message.classList.add('bubble');
+  }
+
+  // For announcements, mentions and events we want the background to be filled
+  const filled =
+    (config['ui']['announcements'] === true &&
+      (highlight === Highlights.Announcement ||
+        highlight === Highlights.Highlight)) ||
+    highlight === Highlights.Mention ||
+    event_key !== null;
+
+  if (filled) {
+    let highlight_colors;
+    if (event_key !== null) {
+      highlight_colors = config['ui']['colors']['events'][event_key];
+    } else if (highlight === Highlights.Mention) {
+      highlight_colors = config['ui']['colors']['mention'];
+    } else {
+      highlight_colors =
+        config['ui']['colors'][
+          highlight === Highlights.Announcement ? 'announcement' : 'highlight'
+        ];
+    }
+
+    if (highlight_colors['background']) {
+      background_color = highlight_colors['background'];
+    }
+
+    if (highlight_colors['text']) {
+      text_color = highlight_colors['text'];
+    } else {
+      // We calculate the text color based on the new background color
+      // If we don't do this, the text might be completely unreadable
+      // Second parameter is noDefault to prevent getting the default
+      // text color which might or might not work with the new background
+      text_color = get_text_color(background_color, true);
+    }
+  } else if (
+    config['ui']['bubbles']['enabled'] !== true &&
+    !config['ui']['colors']['text']
+  ) {
+    // If we don't use bubbles, we don't use the user colour as background
+    // so the name has to be readable on the page or OBS scene behind it
+    text_color = Colors.ensure_contrast(
+      get_user_color(color, 'text'),
+      get_backdrop_color()
+    );
+  }
+
+  // The colours are only exposed here, all rules using them live in the
+  // stylesheets so the overlay can be restyled with CSS alone
+  const border_color =
+    config['ui']['colors']['bubble_border'] || background_color;
+  div_message.dataset.platform = author['platform'] || 'unknown';
+  div_message.dataset.received = received;
+  div_message.dataset.highlight = highlight.description.toLowerCase();
+  div_message.dataset.userColor = get_color_hex(get_user_color(color));
+  div_message.dataset.textColor = get_color_hex(text_color);
+  div_message.style.setProperty(
+    '--user-color',
+    get_color_hex(get_user_color(color))
+  );
+  div_message.style.setProperty('--name-color', get_color_hex(text_color));
+  div_message.style.setProperty(
+    '--name-background',
+    get_color_hex(background_color)
+  );
+  div_message.style.setProperty('--border-color', get_color_hex(border_color));
+  if (filled) {
+    div_message.classList.add('filled');
+    div_message.style.setProperty('--message-color', get_color_hex(text_color));
+    div_message.style.setProperty(
+      '--message-background',
+      get_color_hex(background_color)
+    );
+  }
+
+  if (config['ui']['badges']['enabled'] === true && badges.length > 0) {
+    for (let badge of badges) {
+      let el_badge;
+      if (badge['url']) {
+        el_badge = createElement('img', {
+          src: badge['url'],
+        });
+      } else {
+        // Platforms without badge images get a text label instead
+        el_badge = createElement(
+          'span',
+          { class: 'msg-badge', 'data-badge': badge['name'] },
+          badge['text']
+        );
+      }
+      el_badges.appendChild(el_badge);
+    }
+
+    // Add badges to the user line
+    if (config['ui']['badges']['left'] === false) {
+      el_user.appendChild(el_badges);
+    } else {
+      el_user.prepend(el_badges);
+    }
+  }
+
+  if (config['ui']['avatars']['enabled'] === true) {
+    el_user.prepend(Avatars.element(author));
+  }
+
+  el_message.innerHTML = message;
+
+  // Prefer the time of the event over the time we received it
+  const time = parse_timestamp(timestamp) || new Date(received);
+
+  // Add the timestamp
+  if (config['ui']['timestamp']['enabled'] === true) {
+    let el_timestamp = createElement(
+      'span',
+      { class: 'msg-timestamp', 'data-time': time.getTime() },
+      format_timestamp(time)
+    );
+    if (config['ui']['bubbles']['enabled'] === false) {
+      div_message.appendChild(el_timestamp);
+    } else {
+      el_user.prepend(el_timestamp);
+    }
+  }
+
+  // Add the pronoun and platform to the user line
+  if (el_tags.childNodes.length > 0) {
+    el_user.appendChild(el_tags);
+  }
+  if (author['pronoun']) {
+    place_pronoun(el_user, create_pronoun_element(author['pronoun']));
+  }
+
+  // Adds the user line and message to the message div
+  div_message.appendChild(el_user);
+  div_message.appendChild(el_message);
+
+  remove_when_faded(div_message);
+  document.getElementById('chat').appendChild(div_message);
+  Ticker.push(div_message);
+  update_message_groups();
+
+  const element = document.getElementById('chat');
+  element.scrollTop = element.scrollHeight;
+
+  ChatHistory.push({
+    id: id,
+    message: message,
+    author: author,
+    color: color,
+    badges: badges,
+    highlight: highlight.description,
+    timestamp: time.getTime(),
+    received: received,
+  });
+
+  return div_message;
+};
+
+/**
+ * @param {HTMLElement} previous A message
+ * @param {HTMLElement} message The message right after it
+ * @returns {boolean} True if both are regular messages of the same user
+ *                    within the group_window
+ */
+function is_same_group(previous, message) {
+  return (
+    previous.dataset.userId === message.dataset.userId &&
+    previous.dataset.platform === message.dataset.platform &&
+    previous.dataset.highlight === 'none' &&
+    message.dataset.highlight === 'none' &&
+    message.dataset.received - previous.dataset.received <=
+      config['ui']['grouping']['window'] * 1000
+  );
+}
+
+/**
+ * Removes a message as soon as it faded out after fade_duration, so the next
+ * message of its group shows the name again right away
+ *
+ * @param {HTMLElement} message The message element
+ */
+function remove_when_faded(message) {
+  message.addEventListener('animationend', (event) => {
+    if (event.target === message && event.animationName.startsWith('exit-')) {
+      message.remove();
+      update_message_groups();
+    }
+  });
+}
+
+/**
+ * Marks consecutive messages of the same user so the CSS can show them as
+ * one block with a single header. Every message stays its own element, so it
+ * can still be deleted and fade out on its own. This has to run again
+ * whenever messages are added or removed.
+ */
+function update_message_groups() {
+  if (config['ui']['grouping']['enabled'] !== true) {
+    return;
+  }
+
+  const messages = document
+    .getElementById('chat')
+    .querySelectorAll('.chat-message:not(.exiting)');
+  let previous = null;
+  for (const message of messages) {
+    const grouped = previous !== null && is_same_group(previous, message);
+    message.classList.toggle('grouped', grouped);
+    if (previous !== null) {
+      previous.classList.toggle('group-continues', grouped);
+    }
+    previous = message;
+  }
+
+  if (previous !== null) {
+    previous.classList.remove('group-continues');
+  }
+}
+
+/**
+ * @returns {boolean} True if the system asks to minimize motion. Every
+ *                    animation is replaced by a plain fade then
+ */
+function prefers_reduced_motion() {
+  return (
+    typeof window.matchMedia === 'function' &&
+    window.matchMedia('(prefers-reduced-motion: reduce)').matches
+  );
+}
+
+/**
+ * @returns {string} The keyframes that take a message out of the chat
+ */
+function get_exit_keyframes() {
+  const exit = config['ui']['animation']['exit'];
+  if (exit === 'none' || exit === 'fade' || prefers_reduced_motion()) {
+    return 'exit-fade';
+  }
+  if (exit === 'slide') {
+    // Vertical chats slide out to the side, horizontal ones upwards
+    return config['ui']['direction'] === 'horizontal'
+      ? 'exit-slide-up'
+      : 'exit-slide-left';
+  }
+  return `exit-${exit}`;
+}
+
+/**
+ * @param {number} delay Seconds until the message leaves the chat
+ * @returns {string} The CSS animation that takes a message out of the chat
+ */
+function get_exit_animation(delay) {
+  const animation = config['ui']['animation'];
+  const duration =
+    animation['exit'] === 'none' ? 0 : animation['exit_duration'];
+  return `${get_exit_keyframes()} ${duration}s ${animation['easing']} ${delay}s 1 normal forwards`;
+}
+
+/**
+ * Builds the CSS animation of a message from the animation_* options.
+ * The keyframes are defined in style.css.
+ *
+ * @param {number|false} exit_delay Seconds until the message leaves the
+ *                                  chat, false if it stays
+ * @returns {string} The value of the animation property
+ */
+function get_message_animation(exit_delay) {
+  const animation = config['ui']['animation'];
+  const animations = [];
+
+  if (animation['enter'] !== 'none') {
+    const enter = prefers_reduced_motion() ? 'fade' : animation['enter'];
+    animations.push(
+      `enter-${enter} ${animation['duration']}s ${animation['easing']}`
+    );
+  }
+
+  if (exit_delay !== false) {
+    animations.push(get_exit_animation(exit_delay));
+  }
+
+  return animations.length > 0 ? animations.join(', ') : 'none';
+}
+
+/**
+ * Removes a message element after playing its exit animation
+ *
+ * @param {HTMLElement} message The message element
+ */
+function remove_message_element(message) {
+  const animation = config['ui']['animation'];
+  Ticker.forget((other) => other === message);
+  if (animation['exit'] === 'none' || !(animation['exit_duration'] > 0)) {
+    message.remove();
+    return;
+  }
+
+  // Exiting messages no longer count for groups
+  message.classList.add('exiting');
+  message.style.animation = get_exit_animation(0);
+  message.addEventListener('animationend', () => message.remove());
+  // In case the animation never runs, e.g. in a hidden browser source
+  setTimeout(() => message.remove(), animation['exit_duration'] * 1000 + 100);
+}
+
+/**
+ * Emotes from BetterTTV, FrankerFaceZ and 7TV. They are loaded once for the
+ * global emote sets and the Twitch channel and used for every platform.
+ */
+const ThirdPartyEmotes = {
+  /**
+   * Emotes by their name
+   * @type {Map<string, object>}
+   */
+  emotes: new Map(),
+
+  /**
+   * Time in milliseconds the emote lists are cached in the local storage
+   * @type {number}
+   */
+  cache_ttl: 60 * 60 * 1000,
+
+  // BTTV's global zero-width emotes, they have no flag in the API
+  bttv_zero_width: [
+    'SoSnowy',
+    'IceCold',
+    'SantaHat',
+    'TopHat',
+    'ReinDeer',
+    'CandyCane',
+    'cvMask',
+    'cvHazmat',
+  ],
+
+  /**
+   * Loads the emotes of a provider from its API and caches them in the local
+   * storage. Only the image URL and zero-width flag of every emote are
+   * cached, the API responses can be too large for the storage. Falls back
+   * to an outdated cached version if the API is unavailable.
+   *
+   * @param {string} url The API URL
+   * @param {string} cdn The base URL of the emote images
+   * @param {function(object): Object.<string, {url: string, zeroWidth: boolean}>} parse
+   *        Reads the emotes by name from the API response
+   * @returns {Promise<Object.<string, {url: string, zeroWidth: boolean}>>}
+   *          The emotes by name, empty on errors
+   */
+  async fetch(url, cdn, parse) {
+    const key = `${STREAMCHAT_GH_REPO}.emotes.${url}`;
+    let cached = null;
+    try {
+      cached = JSON.parse(window.localStorage.getItem(key));
+    } catch (error) {
+      cached = null;
+    }
+
+    // Emotes cached for another CDN have the wrong image URLs
+    if (cached !== null && (cached.cdn !== cdn || !cached.emotes)) {
+      cached = null;
+    }
+
+    if (cached !== null && Date.now() - cached.time < this.cache_ttl) {
+      return cached.emotes;
+    }
+
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const emotes = parse(await response.json());
+
+      try {
+        window.localStorage.setItem(
+          key,
+          JSON.stringify({ time: Date.now(), cdn: cdn, emotes: emotes })
+        );
+      } catch (error) {
+        console.error(`Failed to cache emotes from ${url}: ${error}`);
+      }
+
+      return emotes;
+    } catch (error) {
+      console.error(`Failed to fetch emotes from ${url}: ${error}`);
+      return cached !== null ? cached.emotes : {};
+    }
+  },
+
+  /**
+   * @param {string|null} channel_id The Twitch user id of the channel, null
+   *                                 for the global emotes
+   * @returns {Promise<Object.<string, {url: string, zeroWidth: boolean}>>}
+   */
+  async bttv(channel_id) {
+    const base = config['emotes']['urls']['bttv'];
+    const cdn = config['emotes']['cdns']['bttv'];
+    const url =
+      channel_id === null
+        ? `${base}/3/cached/emotes/global`
+        : `${base}/3/cached/users/twitch/${channel_id}`;
+
+    return this.fetch(url, cdn, (data) => {
+      const list = Array.isArray(data)
+        ? data
+        : (data.channelEmotes || []).concat(data.sharedEmotes || []);
+
+      let emotes = {};
+      for (const emote of list) {
+        emotes[emote.code] = {
+          url: `${cdn}/emote/${emote.id}/2x`,
+          zeroWidth: this.bttv_zero_width.includes(emote.code),
+        };
+      }
+      return emotes;
+    });
+  },
+
+  /**
+   * @param {string|null} channel_id The Twitch user id of the channel, null
+   *                                 for the global emotes
+   * @returns {Promise<Object.<string, {url: string, zeroWidth: boolean}>>}
+   */
+  async ffz(channel_id) {
+    const base = config['emotes']['urls']['ffz'];
+    const cdn = config['emotes']['cdns']['ffz'];
+    const url =
+      channel_id === null
+        ? `${base}/v1/set/global`
+        : `${base}/v1/room/id/${channel_id}`;
+
+    return this.fetch(url, cdn, (data) => {
+      if (!data.sets) {
+        return {};
+      }
+
+      // The global response lists sets that aren't active by default
+      let set_ids = Object.keys(data.sets);
+      if (Array.isArray(data.default_sets)) {
+        set_ids = data.default_sets.map((id) => String(id));
+      }
+
+      let emotes = {};
+      for (const id of set_ids) {
+        for (const emote of (data.sets[id] && data.sets[id].emoticons) || []) {
+          // Small emotes have no larger size
+          const urls = emote.animated || emote.urls || {};
+          const size = urls['2'] ? 2 : 1;
+          emotes[emote.name] = {
+            url: emote.animated
+              ? `${cdn}/emote/${emote.id}/animated/${size}`
+              : `${cdn}/emote/${emote.id}/${size}`,
+            zeroWidth: emote.modifier === true,
+          };
+        }
+      }
+      return emotes;
+    });
+  },
+
+  /**
+   * @param {string|null} channel_id The Twitch user id of the channel, null
+   *                                 for the global emotes
+   * @returns {Promise<Object.<string, {url: string, zeroWidth: boolean}>>}
+   */
+  async seventv(channel_id) {
+    const base = config['emotes']['urls']['seventv'];
+    const cdn = config['emotes']['cdns']['seventv'];
+    const url =
+      channel_id === null
+        ? `${base}/v3/emote-sets/global`
+        : `${base}/v3/users/twitch/${channel_id}`;
+
+    return this.fetch(url, cdn, (data) => {
+      const list =
+        channel_id === null
+          ? data.emotes || []
+          : (data.emote_set && data.emote_set.emotes) || [];
+
+      let emotes = {};
+      for (const emote of list) {
+        if (!emote.data) {
+          continue;
+        }
+        emotes[emote.name] = {
+          url: `${cdn}/emote/${emote.data.id || emote.id}/2x.webp`,
+          // Zero-width is flagged on the active emote or the emote itself
+          zeroWidth:
+            (emote.flags & 1) === 1 || (emote.data.flags & 256) === 256,
+        };
+      }
+      return emotes;
+    });
+  },
+
+  /**
+   * Loads the emotes of all enabled providers. Channel emotes replace
+   * global emotes with the same name.
+   *
+   * @param {string|null} channel_id The Twitch user id of the channel
+   */
+  async load(channel_id = null) {
+    const providers = config['emotes'];
+    const [ffz, bttv, seventv] = await Promise.all([
+      providers['ffz'] ? this.ffz(channel_id) : {},
+      providers['bttv'] ? this.bttv(channel_id) : {},
+      providers['seventv'] ? this.seventv(channel_id) : {},
+    ]);
+
+    for (const emotes of [ffz, bttv, seventv]) {
+      for (const [name, emote] of Object.entries(emotes)) {
+        this.emotes.set(name, {
+          name: name,
+          imageUrl: emote.url,
+          zeroWidth: emote.zeroWidth,
+        });
+      }
+    }
+
+    console.debug(
+      `Loaded ${this.emotes.size} third party emotes` +
+        (channel_id !== null ? ` for channel ${channel_id}` : '')
+    );
+  },
+
+  /**
+   * Resolves when the global emotes and the emotes of the configured
+   * channel are loaded
+   * @type {Promise|null}
+   */
+  ready: null,
+
+  /**
+   * @returns {boolean} True if any emote provider is enabled
+   */
+  enabled() {
+    const providers = config['emotes'];
+    return providers['bttv'] || providers['ffz'] || providers['seventv'];
+  },
+
+  /**
+   * Loads the global emotes and the emotes of the configured channel
+   */
+  initialize() {
+    if (!this.enabled()) {
+      return;
+    }
+
+    this.ready = this.load().then(() => {
+      if (config['emotes']['channel_id'] !== null) {
+        return this.load(config['emotes']['channel_id']);
+      }
+    });
+  },
+
+  /**
+   * Loads the emotes of the channel a chat source is connected to, unless
+   * a channel is configured
+   *
+   * @param {string} channel_id The Twitch user id of the channel
+   */
+  async load_broadcaster(channel_id) {
+    if (
+      !this.enabled() ||
+      config['emotes']['channel_id'] !== null ||
+      !channel_id
+    ) {
+      return;
+    }
+
+    // Channel emotes have to be loaded after global emotes to replace them
+    await this.ready;
+    await this.load(channel_id);
+  },
+
+  /**
+   * Finds the third party emotes in a message by its words.
+   *
+   * @param {string} message The raw message
+   * @returns {object[]} The emotes with startIndex and endIndex
+   */
+  locate(message) {
+    let located = [];
+    if (this.emotes.size === 0) {
+      return located;
+    }
+
+    for (const match of message.matchAll(/\S+/g)) {
+      const emote = this.emotes.get(match[0]);
+      if (emote !== undefined) {
+        located.push({
+          ...emote,
+          startIndex: match.index,
+          endIndex: match.index + match[0].length - 1,
+        });
+      }
+    }
+
+    return located;
+  },
+};
+
+/**
+ * Finds the position of emotes that are only known by their name, e.g. Trovo
+ * emotes or emotes from third party providers. Emotes have to be surrounded
+ * by whitespace to be found.
+ *
+ * @param {string} message The raw message
+ * @param {object[]} emotes The emotes of the message
+ * @returns {object[]} The emotes with startIndex and endIndex
+ */
+function locate_emotes(message, emotes) {
+  let located = [];
+
+  for (const emote of emotes) {
+    if (emote.startIndex !== undefined && emote.startIndex !== null) {
+      located.push(emote);
+      continue;
+    }
+
+    if (!emote.name) {
+      continue;
+    }
+
+    // Trovo emotes are written as :name in the message
+    let names = [emote.name];
+    if (!emote.name.startsWith(':')) {
+      names.push(`:${emote.name}`);
+    }
+
+    for (const name of names) {
+      let index = message.indexOf(name);
+      while (index !== -1) {
+        const end = index + name.length;
+        if (
+          (index === 0 || /\s/.test(message[index - 1])) &&
+          (end === message.length || /\s/.test(message[end]))
+        ) {
+          located.push({ ...emote, startIndex: index, endIndex: end - 1 });
+        }
+        index = message.indexOf(name, end);
+      }
+    }
+  }
+
+  return located;
+}
+
+/**
+ * Replaces the emotes in a message with images and escapes everything else.
+ *
+ * @param {string} message The raw message
+ * @param {object[]} emotes The emotes of the message, either with their
+ *                          position(startIndex, endIndex) or their name
+ * @returns {string} The message as HTML
+ */
+function parse_emotes(message, emotes = []) {
+  // Emotes without an image, e.g. some Trovo emotes, stay text
+  emotes = (Array.isArray(emotes) ? emotes : [])
+    .filter((emote) => emote && emote.imageUrl)
+    .concat(ThirdPartyEmotes.locate(message));
+
+  if (emotes.length === 0) {
+    // XSS protection for the message
+    return htmlentities(message);
+  }
+
+  emotes = locate_emotes(message, emotes);
+
+  let message_index = 0;
+  let message_new = '';
+
+  // The last emote and the zero-width emotes layered on top of it
+  let stack = [];
+  const flush_stack = () => {
+    if (stack.length > 1) {
+      message_new += `<span class="emote-stack">${stack.join('')}</span>`;
+    } else {
+      message_new += stack.join('');
+    }
+    stack = [];
+  };
+
+  // Platform emotes come first in the list and win over third party emotes
+  // at the same position since the sort is stable
+  for (const emote in emotes.sort((a, b) => a.startIndex - b.startIndex)) {
+    // Skip emotes overlapping with the previous one
+    if (emotes[emote].startIndex < message_index) {
+      continue;
+    }
+
+    const el_emote = document.createElement('img');
+    // The replace call is a workaround for FFZ emotes, see #35
+    // https://github.com/izzy/stream-chat/issues/35#issuecomment-1484156496
+    el_emote.src = emotes[emote].imageUrl.replace('https:https', 'https');
+    if (parseInt(config['ui']['emote_size']) > 0) {
+      el_emote.style.height = `${config['ui']['emote_size']}`;
+      el_emote.style.width = 'auto';
+    }
+
+    const text_before = message.substring(
+      message_index,
+      emotes[emote].startIndex
+    );
+    if (
+      emotes[emote].zeroWidth === true &&
+      stack.length > 0 &&
+      text_before.trim() === ''
+    ) {
+      // Zero-width emotes are drawn on top of the previous emote
+      stack.push(el_emote.outerHTML);
+    } else {
+      // Add the text before the emote to the message, html escaped
+      // then add the emote as img element
+      flush_stack();
+      message_new += htmlentities(text_before);
+      stack.push(el_emote.outerHTML);
+    }
+
+    // Cheermotes are followed by the amount in the colour of their tier
+    if (emotes[emote].bits !== undefined) {
+      const el_bits = createElement(
+        'span',
+        { class: 'cheer-amount' },
+        emotes[emote].bits
+      );
+      el_bits.style.color = emotes[emote].color;
+      flush_stack();
+      message_new += el_bits.outerHTML;
+    }
+
+    // This is the index of the next character after the emote
+    // so we can continue the loop from there
+    message_index = emotes[emote].endIndex + 1;
+  }
+  flush_stack();
+  message_new += htmlentities(message.substring(message_index));
+
+  return message_new;
+}
+
+/**
+ * Renders the parts of a YouTube message. Parts are either text or emoji,
+ * which includes the custom member emoji of the channel.
+ *
+ * @param {object[]} parts The parts of the YouTube message
+ * @returns {string} The message as HTML
+ */
+function parse_youtube_parts(parts) {
+  let message = '';
+
+  for (const part of parts) {
+    const url =
+      part.imageUrl ||
+      part.url ||
+      (part.image && (part.image.url || part.image.thumbnails?.[0]?.url));
+
+    if (!url) {
+      message += parse_emotes(String(part.text ?? ''));
+      continue;
+    }
+
+    const el_emote = createElement('img', {
+      src: url,
+      alt: part.text || part.emojiText || part.name || '',
+    });
+    if (parseInt(config['ui']['emote_size']) > 0) {
+      el_emote.style.height = `${config['ui']['emote_size']}`;
+      el_emote.style.width = 'auto';
+    }
+    message += el_emote.outerHTML;
+  }
+
+  return message;
+}
+
+/**
+ * Twitch bits tiers, highest first
+ */
+const CHEER_TIERS = [
+  { bits: 10000, color: '#f43021' },
+  { bits: 5000, color: '#0099fe' },
+  { bits: 1000, color: '#1db2a5' },
+  { bits: 100, color: '#9c3ee8' },
+  { bits: 1, color: '#979797' },
+];
+
+/**
+ * Prefixes of the global Twitch cheermotes, used when Streamer.bot doesn't
+ * send the cheermotes of a message
+ */
+const CHEER_PREFIXES = [
+  'Cheer',
+  'DoodleCheer',
+  'BibleThump',
+  'cheerwhal',
+  'Corgo',
+  'Scoops',
+  'uni',
+  'ShowLove',
+  'Party',
+  'SeemsGood',
+  'Pride',
+  'Kappa',
+  'FrankerZ',
+  'HeyGuys',
+  'DansGame',
+  'EleGiggle',
+  'TriHard',
+  'Kreygasm',
+  '4Head',
+  'SwiftRage',
+  'NotLikeThis',
+  'FailFish',
+  'VoHiYo',
+  'PJSalt',
+  'MrDestructoid',
+  'bday',
+  'RIPCheer',
+  'Shamrock',
+  'BitBoss',
+  'Streamlabs',
+  'Muxy',
+  'HolidayCheer',
+  'Goal',
+  'Anon',
+  'Charity',
+];
+
+/**
+ * @param {number} bits The amount of bits
+ * @returns {{bits: number, color: string}} The tier for the amount
+ */
+function get_cheer_tier(bits) {
+  return (
+    CHEER_TIERS.find((tier) => bits >= tier.bits) ||
+    CHEER_TIERS[CHEER_TIERS.length - 1]
+  );
+}
+
+/**
+ * Finds the cheermotes in a Twitch.ChatMessage payload.
+ * The result can be merged into the emote list of a message.
+ *
+ * @param {object} m The message object of the payload
+ * @returns {object[]} The cheermotes with their position, amount and colour
+ */
+function get_cheermotes(m) {
+  if (Array.isArray(m.cheerEmotes) && m.cheerEmotes.length > 0) {
+    return m.cheerEmotes.map((cheermote) => {
+      const tier = get_cheer_tier(cheermote.bits);
+      return {
+        name: cheermote.name,
+        bits: cheermote.bits,
+        color: cheermote.color || tier.color,
+        imageUrl: cheermote.imageUrl,
+        startIndex: cheermote.startIndex,
+        endIndex: cheermote.endIndex,
+      };
+    });
+  }
+
+  if (!(m.bits > 0) || typeof m.message !== 'string') {
+    return [];
+  }
+
+  let cheermotes = [];
+  const prefixes = CHEER_PREFIXES.map((p) => p.toLowerCase());
+  for (const match of m.message.matchAll(/(^|\s)([a-z0-9]+?)(\d+)(?=\s|$)/gi)) {
+    const prefix = match[2].toLowerCase();
+    if (!prefixes.includes(prefix)) {
+      continue;
+    }
+
+    const bits = parseInt(match[3]);
+    const tier = get_cheer_tier(bits);
+    const startIndex = match.index + match[1].length;
+    cheermotes.push({
+      name: match[2] + match[3],
+      bits: bits,
+      color: tier.color,
+      imageUrl: `https://d3aqoihi2n8ty8.cloudfront.net/actions/${prefix}/dark/animated/${tier.bits}/2.gif`,
+      startIndex: startIndex,
+      endIndex: startIndex + match[2].length + match[3].length - 1,
+    });
+  }
+
+  return cheermotes;
+}
+
+/**
+ * Default colours of the Twitch events, cheers use the colour of their tier
+ */
+const TWITCH_EVENT_COLORS = {
+  sub: '#9146ff',
+  resub: '#9146ff',
+  giftsub: '#e91e63',
+  giftbomb: '#e91e63',
+  raid: '#ff9900',
+  follow: '#00c8af',
+};
+
+const TWITCH_EVENT_ICONS = {
+  sub: '⭐',
+  resub: '⭐',
+  giftsub: '🎁',
+  giftbomb: '🎁',
+  raid: '🚨',
+  follow: '💜',
+  cheer: '💎',
+};
+
+/**
+ * @param {string|number|undefined} id The user id of an event
+ * @param {string|undefined} name The display name of an event
+ * @returns {{id: string|number, name: string}|null} The user, null if the
+ *                                                  event has no user name
+ */
+function get_event_user(id, name) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    console.debug(`Skipping Twitch event without user ${id}`);
+    return null;
+  }
+
+  return { id: id ?? 0, name: name };
+}
+
+/**
+ * Twitch events come without an id. Several Streamer.bot instances on the
+ * same channel receive an event within moments of each other, so the id is
+ * made of the event type, the user and the second of the event.
+ *
+ * @param {string} type The type of the event, e.g. 'sub'
+ * @param {{id: string|number}} user The user of the event
+ * @param {string} time The time of the event
+ * @param {string} [detail] Tells apart events of a user within the same
+ *                          second, e.g. the recipients of gifted subs
+ * @returns {string} The event id
+ */
+function get_event_id(type, user, time, detail = '') {
+  const seconds = Math.floor(Date.parse(time) / 1000);
+  return [type, user.id, isNaN(seconds) ? time : seconds, detail]
+    .filter((part) => part !== '')
+    .join('-');
+}
+
+/**
+ * @param {object} d The event data of a Twitch.Sub event
+ * @returns {string} The readable sub tier, e.g. 'Tier 2' or 'Prime'
+ */
+function get_sub_tier(d) {
+  if (d.isPrime === true) {
+    return 'Prime';
+  }
+
+  // Twitch writes the tiers as 1000, 2000 and 3000
+  const tier = parseInt(d.subTier);
+  const level = tier >= 1000 ? tier / 1000 : tier;
+  return level > 0 ? `Tier ${level}` : '';
+}
+
+/**
+ * Default name colours of the platforms for users without a colour
+ */
+const PLATFORM_COLORS = {
+  youtube: '#FF0000',
+  // rgb(45, 153, 102)
+  trovo: '#2D9966',
+  // Kick's brand colour, rgb(83, 252, 24)
+  kick: '#53FC18',
+};
+
+/**
+ * Name colours as used by YouTube's own chat
+ *
+ * @param {object} user The user of a YouTube message
+ * @returns {string} The hex colour of the name
+ */
+function get_youtube_color(user) {
+  if (user.isOwner) {
+    return '#FFD600';
+  } else if (user.isModerator) {
+    return '#5E84F1';
+  } else if (user.isSponsor) {
+    return '#2BA640';
+  }
+  return PLATFORM_COLORS['youtube'];
+}
+
+/**
+ * @param {object} user The user of a YouTube message
+ * @returns {object[]} The badges of the user, starting with the YouTube logo
+ */
+function get_youtube_badges(user) {
+  let badges = [
+    {
+      url: 'https://yt3.ggpht.com/m6yqTzfmHlsoKKEZRSZCkqf6cGSeHtStY4rIeeXLAk4N9GY_yw3dizdZoxTrjLhlY4r_rkz3GA=w24-h24-c-k-nd',
+    },
+  ];
+  if (user.isOwner) {
+    badges.push({ name: 'owner', text: 'Owner' });
+  }
+  if (user.isModerator) {
+    badges.push({ name: 'moderator', text: 'Mod' });
+  }
+  if (user.isSponsor) {
+    badges.push({ name: 'member', text: 'Member' });
+  }
+  if (user.isVerified) {
+    badges.push({ name: 'verified', text: '✔' });
+  }
+  return badges;
+}
+
+/**
+ * Replaces the shortcodes of YouTube's static emotes, used when Streamer.bot
+ * doesn't send the parts of a message
+ *
+ * @param {string} message The message as HTML
+ * @returns {string} The message with the emotes as images
+ */
+function replace_youtube_emotes(message) {
+  let yt_emote_width = '28';
+  let yt_emote_height = '28';
+
+  if (parseInt(config['ui']['emote_size']) > 0) {
+    yt_emote_width = config['ui']['emote_size'];
+    yt_emote_height = config['ui']['emote_size'];
+  }
+
+  const yt_emotes = {
+    ':yt:': `https://yt3.ggpht.com/m6yqTzfmHlsoKKEZRSZCkqf6cGSeHtStY4rIeeXLAk4N9GY_yw3dizdZoxTrjLhlY4r_rkz3GA=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
+    ':oops:': `https://yt3.ggpht.com/qByNS7xmuQXsb_5hxW2ggxwQZRN8-biWVnnKuL5FK1zudxIeim48zRVPk6DRq_HgaeKltHhm=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
+    ':buffering:': `https://yt3.ggpht.com/foWgzjN0ggMAA0CzDPfPZGyuGwv_7D7Nf6FGLAiomW5RRXj0Fs2lDqs2U6L52Z4J2Zb-D5tCUAA=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
+    ':stayhome:': `https://yt3.ggpht.com/u3QDxda8o4jrk_b01YtJYKb57l8Zw8ks8mCwGkiZ5hC5cQP_iszbsggxIWquZhuLRBzl5IEM2w=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
+    ':dothefive:': `https://yt3.ggpht.com/ktU04FFgK_a6yaXCS1US-ReFkLjD22XllcIMOyBRHuYKLsrxpVxsauV1gSC2RPraMJWXpWcY=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
+    ':elbowbump:': `https://yt3.ggpht.com/gt39CIfizoIAce9a8IzjfrADV5CjTbSyFKUlLMXzYILxJRjwAgYQQJ9PXXxnRvrnTec7ZpfHN4k=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
+    ':goodvibes:': `https://yt3.ggpht.com/6LPOiCw9bYr3ZXe8AhUoIMpDe_0BglC4mBmi-uC4kLDqDIuPu4J3ErgV0lEhgzXiBluq-I8j=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
+    ':thanksdoc:': `https://yt3.ggpht.com/Av7Vf8FxIp0_dQg4cJrPcGmmL7v9RXraOXMp0ZBDN693ewoMTHbbS7D7V3GXpbtZPSNcRLHTQw=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
+    ':videocall:': `https://yt3.ggpht.com/bP-4yir3xZBWh-NKO4eGJJglr8m4dRnHrAKAXikaOJ0E5YFNkJ6IyAz3YhHMyukQ1kJNgQAo=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
+    ':virtualhug:': `https://yt3.ggpht.com/-o0Di2mE5oaqf_lb_RI3igd0fptmldMWF9kyQpqKWkdAd7M4cT5ZKzDwlmSSXdcBp3zVLJ41yg=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
+    ':yougotthis:': `https://yt3.ggpht.com/WxLUGtJzyLd4dcGaWnmcQnw9lTu9BW3_pEuCp6kcM2pxF5p5J28PvcYIXWh6uCm78LxGJVGn9g=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
+    ':sanitizer:': `https://yt3.ggpht.com/4PaPj_5jR1lkidYakZ4EkxVqNr0Eqp4g0xvlYt_gZqjTtVeyHBszqf57nB9s6uLh7d2QtEhEWEc=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
+    ':takeout:': `https://yt3.ggpht.com/ehUiXdRyvel0hba-BopQoDWTvM9ogZcMPaaAeR6IA9wkocdG21aFVN_IylxRGHtl2mE6L9jg1Do=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
+    ':hydrate:': `https://yt3.ggpht.com/Plqt3RM7NBy-R_eA90cIjzMEzo8guwE0KqJ9QBeCkPEWO7FvUqKU_Vq03Lmv9XxMrG6A3Ouwpg=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
+    ':chillwcat:': `https://yt3.ggpht.com/ZN5h05TnuFQmbzgGvIfk3bgrV-_Wp8bAbecOqw92s2isI6GLHbYjTyZjcqf0rKQ5t4jBtlumzw=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
+    ':chillwdog:': `https://yt3.ggpht.com/jiaOCnfLX0rqed1sISxULaO7T-ktq2GEPizX9snaxvMLxQOMmWXMmAVGyIbYeFS2IvrMpxvFcQ=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
+    ':elbowcough:': `https://yt3.ggpht.com/kWObU3wBMdHS43q6-ib2KJ-iC5tWqe7QcEITaNApbXEZfrik9E57_ve_BEPHO86z4Xrv8ikMdW0=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
+    ':learning:': `https://yt3.ggpht.com/LiS1vw8KUXmczimKGfA-toRYXOcV1o-9aGSNRF0dGLk15Da2KTAsU-DXkIao-S7-kCkSnJwt=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
+    ':washhands:': `https://yt3.ggpht.com/66Fn-0wiOmLDkoKk4FSa9vD0yymtWEulbbQK2x-kTBswQ2auer_2ftvmrJGyMMoqEGNjJtipBA=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
+    ':socialdist': `https://yt3.ggpht.com/0WD780vTqUcS0pFq423D8WRuA_T8NKdTbRztChITI9jgOqOxD2r6dthbu86P6fIggDR6omAPfnQ=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
+    ':shelterin:': `https://yt3.ggpht.com/KgaktgJ3tmEFB-gMtjUcuHd6UKq50b-S3PbHEOSUbJG7UddPoJSmrIzysXA77jJp5oRNLWG84Q=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
+  };
+
+  for (const e in yt_emotes) {
+    let el_emote = document.createElement('img');
+    el_emote.src = yt_emotes[e];
+    el_emote.style = `height: ${yt_emote_height}px; width: ${yt_emote_width}px;`;
+
+    message = message.replaceAll(e, el_emote.outerHTML);
+  }
+
+  return message;
+}
+
+/**
+ * @param {object[]} badges The badges of a Twitch user
+ * @returns {object[]} The badge images
+ */
+function get_twitch_badges(badges) {
+  return (Array.isArray(badges) ? badges : []).map((badge) => {
+    return {
+      url: badge['imageUrl'],
+    };
+  });
+}
+
+/**
+ * @param {object} m A Trovo message
+ * @returns {object[]} The badges for the roles and medals of the user
+ */
+function get_trovo_badges(m) {
+  const roles = Array.isArray(m.roles) ? m.roles.map((r) => String(r)) : [];
+
+  let badges = [];
+  if (m.streamer || roles.includes('streamer')) {
+    badges.push({ name: 'streamer', text: 'Streamer' });
+  }
+  if (m.moderator || roles.includes('mod') || roles.includes('supermod')) {
+    badges.push({ name: 'moderator', text: 'Mod' });
+  }
+  if (m.subscriber || roles.includes('subscriber')) {
+    badges.push({
+      name: 'subscriber',
+      text: parseInt(m.tier) > 0 ? `Sub T${parseInt(m.tier)}` : 'Sub',
+    });
+  }
+
+  // Custom roles of the channel
+  const known_roles = ['streamer', 'mod', 'supermod', 'subscriber', 'follower'];
+  for (const role of roles) {
+    if (!known_roles.includes(role.toLowerCase())) {
+      badges.push({ name: role, text: role });
+    }
+  }
+
+  for (const medal of Array.isArray(m.medals) ? m.medals : []) {
+    if (typeof medal === 'string') {
+      badges.push({ name: medal, text: medal.replaceAll('_', ' ') });
+    } else if (medal && (medal.imageUrl || medal.url)) {
+      badges.push({ name: medal.name, url: medal.imageUrl || medal.url });
+    }
+  }
+
+  return badges;
+}
+
+/**
+ * Kick badges usually come without an image
+ *
+ * @param {object[]} badges The badges of a Kick user
+ * @returns {object[]} The badges as image or text
+ */
+function get_kick_badges(badges) {
+  return (Array.isArray(badges) ? badges : []).map((badge) => {
+    if (badge['imageUrl']) {
+      return { name: badge['type'], url: badge['imageUrl'] };
+    }
+
+    let text = badge['text'] || badge['type'] || '';
+    if (badge['type'] === 'subscriber' && badge['count']) {
+      text = `${text} ${badge['count']}`;
+    }
+    return { name: badge['type'], text: text };
+  });
+}
+
+/**
+ * Kick writes emotes as [emote:ID:NAME] into the message, they are replaced
+ * by their name and returned with their position.
+ *
+ * @param {string} message The Kick message
+ * @returns {{text: string, emotes: object[]}} The text and its emotes
+ */
+function parse_kick_emotes(message) {
+  let kick_emotes = [];
+  let text = '';
+  let index = 0;
+  for (const match of message.matchAll(/\[emote:(\d+):([^\]]*)\]/g)) {
+    text += message.substring(index, match.index);
+    kick_emotes.push({
+      name: match[2],
+      imageUrl: `https://files.kick.com/emotes/${match[1]}/fullsize`,
+      startIndex: text.length,
+      endIndex: text.length + match[2].length - 1,
+    });
+    text += match[2];
+    index = match.index + match[0].length;
+  }
+  text += message.substring(index);
+
+  return { text: text, emotes: kick_emotes };
+}
+
+/**
+ * The author of a message or event
+ *
+ * @typedef {object} ChatAuthor
+ * @property {string|number} id The user id on the platform
+ * @property {string} name The display name
+ * @property {string} [color] The hex colour of the name, the default colour
+ *                            of the platform if empty
+ * @property {string} [avatar] The URL of the profile picture
+ * @property {string} [pronoun] Pronouns to show instead of looking them up,
+ *                              empty to show none
+ */
+
+/**
+ * A chat message as plugins hand it to Chat.message
+ *
+ * @typedef {object} ChatMessage
+ * @property {string} id The message id, used to skip duplicates
+ * @property {string} platform 'twitch', 'youtube', 'trovo' or 'kick'
+ * @property {ChatAuthor} author The author of the message
+ * @property {string} text The plain text of the message
+ * @property {object[]} [parts] Text and image parts, rendered instead of the
+ *                              text if set
+ * @property {object[]} [emotes] The emotes, see parse_emotes
+ * @property {object[]} [cheermotes] The cheermotes, see get_cheermotes
+ * @property {{url?: string, name?: string, text?: string}[]} [badges] Badges
+ *           as image URL or as text
+ * @property {number} [highlight] One of the Highlights values
+ * @property {Date|number|string} [timestamp] When the message was sent
+ */
+
+/**
+ * A platform event like a sub or a raid as plugins hand it to Chat.event
+ *
+ * @typedef {object} ChatEvent
+ * @property {string|null} id The event id, used to skip duplicates
+ * @property {string} platform The platform of the event
+ * @property {number} highlight The Highlights value of the event
+ * @property {ChatAuthor} author The user that triggered the event, the
+ *                               colour is the colour of the event
+ * @property {string} description What happened, e.g. 'x is raiding!'
+ * @property {string} [text] The message the user sent with the event
+ * @property {object[]} [emotes] The emotes of the text
+ * @property {{url?: string, name?: string, text?: string}[]} [badges] Badges
+ *           as image URL or as text
+ */
+
+/**
+ * The normalized events that chat source plugins send. A plugin translates
+ * its own data into ChatMessage and ChatEvent objects, the rendering doesn't
+ * need to know where they came from.
+ */
+const Chat = {
+  /**
+   * @param {ChatMessage} msg The message to show
+   */
+  message: (msg) => {
+    if (Chat.duplicate(msg.id)) {
+      return;
+    }
+
+    if (skip_message(msg.text, msg.author.name)) {
+      return;
+    }
+
+    let cheermotes = Array.isArray(msg.cheermotes) ? msg.cheermotes : [];
+    const bits = cheermotes.reduce((sum, c) => sum + c.bits, 0);
+    if (bits < config['ui']['cheers']['min_bits']) {
+      // Small cheers are shown as they were typed
+      cheermotes = [];
+    }
+    const emotes = (Array.isArray(msg.emotes) ? msg.emotes : []).concat(
+      cheermotes
+    );
+
+    // Messages are shown right away, pronouns that still have to be
+    // looked up are added once they arrive
+    let pronounTag = null;
+    let lookup = null;
+    if (msg.author.pronoun) {
+      pronounTag = { text: msg.author.pronoun, full: msg.author.pronoun };
+    } else if (
+      msg.author.pronoun === undefined &&
+      config['ui']['pronouns'] === true &&
+      msg.platform === 'twitch'
+    ) {
+      lookup = Pronouns.fetch(msg.author.name);
+      pronounTag = Pronouns.get(msg.author.name);
+    }
+
+    const author = {
+      name: msg.author.name,
+      id: msg.author.id,
+      pronoun: pronounTag,
+      platform: msg.platform,
+      avatar: msg.author.avatar ?? null,
+    };
+
+    let message;
+    if (Array.isArray(msg.parts) && msg.parts.length > 0) {
+      // Parts contain YouTube's custom member emoji as images
+      message = parse_youtube_parts(msg.parts);
+    } else {
+      message = parse_emotes(msg.text, emotes);
+      if (msg.platform === 'youtube') {
+        message = replace_youtube_emotes(message);
+      }
+    }
+
+    if (
+      config['ui']['cheers']['tier_style'] === true &&
+      cheermotes.length > 0
+    ) {
+      const tier = get_cheer_tier(bits);
+      message = `<span class="cheer cheer-tier-${tier.bits}" style="color: ${tier.color}">${message}</span>`;
+    }
+
+    const highlight = msg.highlight ?? Highlights.None;
+    if (Highlights.Announcement === highlight) {
+      message = '<span class="announcement">📢 Announcement: </span>' + message;
+    }
+
+    const el_message = add_message(
+      msg.id,
+      message,
+      author,
+      get_color(msg.author.color || PLATFORM_COLORS[msg.platform]),
+      msg.timestamp ?? 0,
+      msg.badges ?? [],
+      highlight
+    );
+
+    if (lookup !== null && pronounTag === null && el_message !== null) {
+      lookup.then(() => {
+        const late = Pronouns.get(msg.author.name);
+        if (late !== null) {
+          add_late_pronoun(el_message, late);
+        }
+      });
+    }
+  },
+
+  /**
+   * @param {ChatEvent} evt The event to show
+   */
+  event: (evt) => {
+    const event_key = get_event_key(evt.highlight);
+    if (config['ui']['events'][event_key] !== true) {
+      return;
+    }
+
+    if (Chat.duplicate(evt.id)) {
+      return;
+    }
+
+    // Like messages, events of bots and events with a command as their
+    // message are skipped
+    if (skip_message(evt.text || '', evt.author.name)) {
+      return;
+    }
+
+    const author = {
+      name: evt.author.name,
+      id: evt.author.id,
+      platform: evt.platform,
+    };
+
+    let html = `<span class="event-text">${
+      TWITCH_EVENT_ICONS[event_key]
+    } ${htmlentities(evt.description)}</span>`;
+    if (evt.text) {
+      html += ' ' + parse_emotes(evt.text, evt.emotes);
+    }
+
+    add_message(
+      evt.id || `${event_key}-${Date.now()}`,
+      html,
+      author,
+      get_color(evt.author.color),
+      0,
+      evt.badges ?? [],
+      evt.highlight
+    );
+  },
+
+  /**
+   * Ids of the latest messages, to skip messages that arrive more than once
+   * when several sources are connected to the same chat
+   * @type {string[]}
+   */
+  seen: [],
+
+  /**
+   * @param {string|null} id The id of a message or event
+   * @returns {boolean} True if a message with this id was already shown
+   */
+  duplicate: (id) => {
+    if (id === null || id === undefined || id === '') {
+      return false;
+    }
+
+    if (Chat.seen.includes(String(id))) {
+      console.debug(`Skipping duplicate message ${id}`);
+      return true;
+    }
+
+    Chat.seen.push(String(id));
+    if (Chat.seen.length > 500) {
+      Chat.seen.shift();
+    }
+    return false;
+  },
+
+  /**
+   * @param {string} message_id The id of the deleted message
+   */
+  remove_message: (message_id) => {
+    remove_messages_by_message_id(message_id);
+  },
+
+  /**
+   * @param {string} platform The platform the user was banned on
+   * @param {string|number} user_id The id of the banned or timed out user
+   */
+  remove_user: (platform, user_id) => {
+    remove_messages_by_user_id(user_id, platform);
+  },
+
+  /**
+   * @param {string|null} [platform] The platform whose chat was cleared
+   */
+  clear: (platform = null) => {
+    clear_messages(platform);
+  },
+
+  /**
+   * @param {string} channel_id The Twitch user id of the connected channel
+   */
+  broadcaster: (channel_id) => {
+    ThirdPartyEmotes.load_broadcaster(channel_id);
+  },
+};
+
+/**
+ * Checks if a message should be skipped.
+ * @param {string} message The message to check
+ * @param {string} user The user name to check
+ * @returns {boolean} True if the message should be skipped, false otherwise
+ */
+function skip_message(message, user) {
+  if (
+    (config['exclusion']['cmdprefix'] !== false &&
+      message.startsWith(config['exclusion']['cmdprefix'])) ||
+    config['exclusion']['bots'].includes(user.toLowerCase())
+  ) {
+    return true;
+  } else {
+    return false;
+  }
+}
+
+function remove_old_messages() {
+  // Messages that are already leaving don't count
+  let messages = [
+    ...document.getElementById('chat').getElementsByClassName('chat-message'),
+  ].filter((message) => !message.classList.contains('exiting'));
+  let messages_to_remove = [];
+  let faded = [];
+
+  // Remove old messages when there are more than the max_messages setting,
+  // the ticker removes its messages once they left the chat
+  if (config['ui']['max_messages'] !== false && !Ticker.enabled()) {
+    let max_messages = config['ui']['max_messages'];
+    if (messages.length > max_messages) {
+      for (let i = 0; i < messages.length - max_messages; i++) {
+        messages_to_remove.push(messages[i]);
+      }
+    }
+  }
+
+  for (let i = 0; i < messages.length; i++) {
+    if (messages_to_remove.includes(messages[i])) {
+      continue;
+    }
+
+    // Remove messages that are outside the bounding box
+    // bottom when vertical scrolling is enabled,
+    // right when horizontal scrolling is enabled
+    if (
+      (config['ui']['direction'] === 'vertical' &&
+        messages[i].getBoundingClientRect().bottom < 0) ||
+      (config['ui']['direction'] === 'horizontal' &&
+        messages[i].getBoundingClientRect().right < 0)
+    ) {
+      messages_to_remove.push(messages[i]);
+    }
+
+    // Messages that are older than the max age (fade_duration) are already
+    // invisible
+    else if (
+      parseInt(config['ui']['fade_duration']) > 0 &&
+      window.getComputedStyle(messages[i]).opacity === '0'
+    ) {
+      faded.push(messages[i]);
+    }
+  }
+
+  for (let message of messages_to_remove) {
+    remove_message_element(message);
+  }
+  for (let message of faded) {
+    message.remove();
+  }
+
+  update_message_groups();
+}
+
+/**
+ * Takes moderated messages out of the chat and the chat history. With
+ * moderation_placeholder only their text is replaced.
+ *
+ * @param {function(HTMLElement): boolean} matches Selects the message elements
+ * @param {function(object): boolean} matches_entry Selects the history entries
+ * @param {boolean} [placeholder] False to always remove the messages
+ */
+function moderate_messages(
+  matches,
+  matches_entry,
+  placeholder = config['moderation']['placeholder']
+) {
+  const messages = [
+    ...document.getElementById('chat').getElementsByClassName('chat-message'),
+  ].filter(
+    (message) => !message.classList.contains('exiting') && matches(message)
+  );
+  // Neither the messages nor their placeholders are shown again on the ticker
+  Ticker.forget(matches);
+
+  if (placeholder !== true) {
+    for (const message of messages) {
+      remove_message_element(message);
+    }
+    update_message_groups();
+    ChatHistory.remove(matches_entry);
+    return;
+  }
+
+  const text = config['moderation']['placeholder_text'];
+  for (const message of messages) {
+    message.classList.add('deleted');
+    message
+      .querySelector('.msg-text')
+      .replaceChildren(createElement('span', { class: 'msg-deleted' }, text));
+    Ticker.resize(message);
+  }
+  ChatHistory.update(matches_entry, (entry) => ({
+    ...entry,
+    message: createElement('span', { class: 'msg-deleted' }, text).outerHTML,
+    deleted: true,
+  }));
+}
+
+/**
+ * @param {string|number} user_id The id of the user
+ * @param {string|null} [platform] The platform of the user, null for all
  */
-const Highlights = {
-  None: Symbol('None'),
-  Highlight: Symbol('Highlight'),
-  //Mention: Symbol('Mention'), // TODO: Might be worth implementing this?
-  Announcement: Symbol('Announcement'),
-};
+function remove_messages_by_user_id(user_id, platform = null) {
+  console.debug(`Removing messages by user id: ${user_id} (${platform})`);
+
+  // Ids are compared as text, YouTube channel ids aren't numbers
+  const on_platform = (message_platform) =>
+    platform === null || !message_platform || message_platform === platform;
+  moderate_messages(
+    (message) =>
+      message.dataset.userId === String(user_id) &&
+      on_platform(message.dataset.platform),
+    (entry) =>
+      String(entry.author.id) === String(user_id) &&
+      on_platform(entry.author.platform)
+  );
+}
 
-let add_message = (
-  id,
-  message,
-  author,
-  color,
-  timestamp,
-  badges = [],
-  highlight = Highlights.None
-) => {
-  let background_color = get_user_color(color);
-  let text_color = get_text_color(background_color);
+/**
+ * @param {string} message_id The id of the message
+ */
+function remove_messages_by_message_id(message_id) {
+  console.debug('Removing messages by message id: ' + message_id);
 
-  let el_badges = createElement('span', { class: 'msg-badges' });
-  let el_pronoun = createElement(
-    'span',
-    { class: 'msg-pronoun' },
-    author['pronoun']
+  // Copies on the ticker remember the message they were made from
+  moderate_messages(
+    (message) =>
+      message.id === String(message_id) ||
+      message.dataset.copyOf === String(message_id),
+    (entry) => String(entry.id) === String(message_id)
   );
-  let el_message = createElement('span', { class: 'msg-text' });
-  let el_user = createElement('span', { class: 'msg-user' }, author.name);
-
-  let div_message = createElement('div', {
-    id: id,
-    'data-user-id': author['id'],
-    class: 'chat-message',
-  });
+}
 
-  // let message_class = [];
-  if (highlight !== Highlights.None) {
-    if (
-      highlight === Highlights.Highlight &&
-      config['ui']['highlights'] === true
-    ) {
-      div_message.classList.add('highlight');
-    } else if (highlight === Highlights.Announcement) {
-      div_message.classList.add('announcement');
-    }
-  }
+/**
+ * Removes every message, e.g. after /clear on Twitch. Cleared messages are
+ * never replaced with placeholders.
+ *
+ * @param {string|null} [platform] Only clear messages of this platform
+ */
+function clear_messages(platform = null) {
+  console.debug(`Clearing chat messages (${platform || 'all platforms'})`);
 
-  // TODO: omg this code is a mess and needs to get some a e s t h e t i c s
-  // For one, if we have user configs for some colours, we don't need to overwrite them
-  // Also, we should probably use CSS variables for some things
-  // Alternatively maybe just a data attribute with the user's color like
-  // data-user-color='#123456' and then use that in the CSS with color: attr(data-user-color)
-  // which would be a lot cleaner and would get the style issues out of the JS code
-  if (config['ui']['bubbles']['enabled'] === true) {
-    div_message.classList.add('bubble');
-  }
+  moderate_messages(
+    (message) => platform === null || message.dataset.platform === platform,
+    (entry) => platform === null || entry.author.platform === platform,
+    false
+  );
+}
 
-  // For announcements we want the background to be filled
-  if (
-    config['ui']['announcements'] === true &&
-    (highlight === Highlights.Announcement ||
-      highlight === Highlights.Highlight)
-  ) {
-    let config_key =
-      highlight === Highlights.Announcement ? 'announcement' : 'highlight';
+/**
+ * Keeps the most recently rendered messages in the local storage so they can
+ * be restored when OBS reloads the browser source.
+ */
+const ChatHistory = {
+  // Overlays with a different configuration keep their own history, e.g. a
+  // Twitch only and a YouTube only overlay on the same origin
+  key: `${STREAMCHAT_GH_REPO}.history.${hash_string(
+    [...get_search_params()].sort().join('&')
+  )}`,
 
-    if (config['ui']['colors'][config_key]['background']) {
-      background_color = config['ui']['colors'][config_key]['background'];
-    } else {
-      background_color = get_user_color(color);
-    }
+  /**
+   * Set while stored messages are replayed so they aren't stored twice
+   * @type {boolean}
+   */
+  restoring: false,
 
-    if (config['ui']['colors'][config_key]['text']) {
-      text_color = config['ui']['colors'][config_key]['text'];
-    } else {
-      // We calculate the text color based on the new background color
-      // If we don't do this, the text might be completely unreadable
-      // Second parameter is noDefault to prevent getting the default
-      // text color which might or might not work with the new background
-      text_color = get_text_color(background_color, true);
-    }
+  /**
+   * The stored messages, oldest first. Read from the local storage once.
+   * @type {object[]|null}
+   */
+  entries: null,
 
-    if (config['ui']['bubbles']['enabled'] === true) {
-      // Announcement/Highlight styling for message bubbles
-      div_message.style.color = get_color_hex(text_color);
+  /**
+   * Timeout of the next write to the local storage
+   * @type {number|null}
+   */
+  timeout: null,
 
-      if (config['ui']['colors']['bubble_border']) {
-        div_message.style.borderColor = get_color_hex(
-          config['ui']['colors']['bubble_border']
-        );
-      } else {
-        div_message.style.borderColor = get_color_hex(background_color);
-      }
+  /**
+   * @returns {boolean} True if messages should be stored and restored
+   */
+  enabled() {
+    // The generator preview would otherwise fill the history with fake messages
+    return config['history']['enabled'] === true && config['debug'] === false;
+  },
 
-      el_user.style.color = get_color_hex(text_color);
-      el_user.style.backgroundColor = get_color_hex(background_color);
-    } else {
-      // Announcement/Highlight styling for regular text messages
-      div_message.style.color = get_color_hex(text_color);
-      el_message.style.color = get_color_hex(text_color);
+  /**
+   * @returns {number} The number of messages to keep
+   */
+  size() {
+    let size = config['history']['size'] > 0 ? config['history']['size'] : 0;
+    if (parseInt(config['ui']['max_messages']) > 0) {
+      size = Math.min(size, parseInt(config['ui']['max_messages']));
     }
+    return size;
+  },
 
-    div_message.style.backgroundColor = get_color_hex(background_color);
+  /**
+   * @param {object} entry A stored message
+   * @returns {boolean} True if the message would have faded out by now
+   */
+  expired(entry) {
+    const fade_duration = parseInt(config['ui']['fade_duration']);
+    if (!(fade_duration > 0)) {
+      return false;
+    }
+    return (Date.now() - entry.received) / 1000 >= fade_duration;
+  },
 
-    // TODO: For announcement, get an enum for the colour of the announcement
-    //       and add a CSS class with nice colours and gradients
-  } else {
-    // Everything specific for anything that's not announcement or highlight
-    if (config['ui']['bubbles']['enabled'] === true) {
-      if (!config['ui']['colors']['bubble_border']) {
-        div_message.style.borderColor = get_color_hex(background_color);
-      }
+  /**
+   * @returns {object[]} The stored messages, oldest first
+   */
+  load() {
+    if (this.entries !== null) {
+      return this.entries;
+    }
 
-      el_user.style.backgroundColor = get_color_hex(background_color);
-    } else {
-      // If we don't use bubbles, we don't use the user colour as background
-      if (!config['ui']['colors']['text_color']) {
-        text_color = get_user_color(color, 'text_color');
-      }
+    try {
+      const entries = JSON.parse(window.localStorage.getItem(this.key));
+      this.entries = Array.isArray(entries) ? entries : [];
+    } catch (error) {
+      console.error(`Failed to load chat history: ${error}`);
+      this.entries = [];
     }
+    return this.entries;
+  },
 
-    el_user.style.color = get_color_hex(text_color);
-  }
+  /**
+   * Keeps the messages and writes them to the local storage a moment later,
+   * so a busy chat doesn't write on every message
+   *
+   * @param {object[]} entries The messages to store, oldest first
+   */
+  save(entries) {
+    this.entries = entries
+      .filter((entry) => !this.expired(entry))
+      .slice(-this.size());
 
-  if (config['ui']['badges']['enabled'] === true && badges.length > 0) {
-    for (let badge of badges) {
-      let el_badge = createElement('img', {
-        src: badge['url'],
-      });
-      el_badges.appendChild(el_badge);
+    if (this.timeout === null) {
+      this.timeout = setTimeout(() => this.write(), 1000);
     }
+  },
 
-    // Add badges to the user line
-    if (config['ui']['badges']['left'] === false) {
-      el_user.appendChild(el_badges);
-    } else {
-      el_user.prepend(el_badges);
+  /**
+   * Writes the messages to the local storage
+   */
+  write() {
+    clearTimeout(this.timeout);
+    this.timeout = null;
+    if (this.entries === null) {
+      return;
     }
-  }
-
-  el_message.innerHTML = message;
 
-  // Add the timestamp
-  if (config['ui']['timestamp']['enabled'] === true) {
-    let el_timestamp = createElement(
-      'span',
-      { class: 'msg-timestamp' },
-      new Date().toLocaleTimeString(
-        config['ui']['timestamp']['locale'],
-        config['ui']['timestamp']['options']
-      )
-    );
-    if (config['ui']['bubbles']['enabled'] === false) {
-      div_message.appendChild(el_timestamp);
-    } else {
-      el_user.prepend(el_timestamp);
+    try {
+      window.localStorage.setItem(this.key, JSON.stringify(this.entries));
+    } catch (error) {
+      console.error(`Failed to save chat history: ${error}`);
     }
-  }
+  },
 
-  // Add the pronoun to the user line
-  if (author['pronoun']) {
-    el_user.appendChild(el_pronoun);
-  }
+  /**
+   * @param {object} entry The rendered message to store
+   */
+  push(entry) {
+    if (!this.enabled() || this.restoring || this.size() === 0) {
+      return;
+    }
 
-  // Adds the user line and message to the message div
-  div_message.appendChild(el_user);
-  div_message.appendChild(el_message);
+    // Messages are stored once, even if they are rendered again
+    let entries = this.load().filter((e) => e.id !== entry.id);
+    entries.push(entry);
+    this.save(entries);
+  },
 
-  document.getElementById('chat').appendChild(div_message);
+  /**
+   * @param {function(object): boolean} predicate Selects the messages to remove
+   */
+  remove(predicate) {
+    if (!this.enabled()) {
+      return;
+    }
 
-  const element = document.getElementById('chat');
-  element.scrollTop = element.scrollHeight;
-};
+    this.save(this.load().filter((entry) => !predicate(entry)));
+  },
 
-let StreamerBot = {
-  message: {
-    twitch: async (
-      msg_id,
-      user_id,
-      author,
-      author_color,
-      message,
-      emotes = [],
-      // role = 0,
-      badges = [],
-      highlight = Highlights.None,
-      pronoun = false
-    ) => {
-      // TODO handle cheermotes
-
-      if (skip_message(message, author)) {
-        return;
-      }
+  /**
+   * @param {function(object): boolean} predicate Selects the entries to change
+   * @param {function(object): object} change Returns the changed entry
+   */
+  update(predicate, change) {
+    if (!this.enabled()) {
+      return;
+    }
 
-      if (usePronouns && pronoun === false) {
-        await fetch_pronoun(author);
-        pronounStr = get_pronoun(author);
-        pronoun = true;
-      } else if (pronoun != false) {
-        pronounStr = pronoun;
-      }
-      
-      if (config['ui']['pronouns'] && config['ui']['platforms']) {
-        pronounStr = `${pronounStr} (Twitch)`;
-      }
+    this.save(
+      this.load().map((entry) => (predicate(entry) ? change(entry) : entry))
+    );
+  },
 
-      // console.log(`pronounStr: '${pronounStr}'`);
-      author = {
-        name: author,
-        id: user_id,
-        pronoun: pronounStr,
-      };
-      // console.log(`author['pronoun']: '${author['pronoun']}'`);
+  /**
+   * Renders the stored messages again
+   */
+  restore() {
+    if (!this.enabled() || this.size() === 0) {
+      return;
+    }
 
-      if (emotes.length === 0) {
-        // XSS protection for the message
-        message = htmlentities(message);
-      } else {
-        let message_index = 0;
-        let message_new = '';
-
-        for (const emote in emotes.sort((a, b) => {
-          if (a.startIndex > b.startIndex) {
-            return 1;
-          } else {
-            return -1;
-          }
-        })) {
-          const el_emote = document.createElement('img');
-          // The replace call is a workaround for FFZ emotes, see #35
-          // https://github.com/izzy/stream-chat/issues/35#issuecomment-1484156496
-          el_emote.src = emotes[emote].imageUrl.replace('https:https', 'https');
-          if (parseInt(config['ui']['emote_size']) > 0) {
-            el_emote.style.height = `${config['ui']['emote_size']}`;
-            el_emote.style.width = 'auto';
-          }
-
-          // Add the text before the emote to the message, html escaped
-          // then add the emote as img element
-          message_new +=
-            htmlentities(
-              message.substring(message_index, emotes[emote].startIndex)
-            ) + el_emote.outerHTML;
-
-          // This is the index of the next character after the emote
-          // so we can continue the loop from there
-          message_index = emotes[emote].endIndex + 1;
-        }
-        message_new += htmlentities(message.substring(message_index));
-        message = message_new;
-      }
+    const fade_duration = parseInt(config['ui']['fade_duration']);
+    const entries = this.load()
+      .filter((entry) => !this.expired(entry))
+      .slice(-this.size());
+
+    console.debug(`Restoring ${entries.length} messages from chat history`);
+
+    // Don't lose the latest messages when OBS reloads before the next write
+    window.addEventListener('pagehide', () => this.write());
+
+    this.restoring = true;
+    for (const entry of entries) {
+      const el_message = add_message(
+        entry.id,
+        entry.message,
+        entry.author,
+        entry.color,
+        entry.timestamp ?? entry.received,
+        entry.badges,
+        Highlights[entry.highlight] || Highlights.None,
+        entry.received
+      );
 
-      if (badges.length > 0) {
-        badges = badges.map((badge) => {
-          return {
-            url: badge['imageUrl'],
-          };
-        });
+      // Messages can be dropped by a newer filter
+      if (el_message === null) {
+        continue;
       }
 
-      if (Highlights.Announcement === highlight) {
-        message =
-          '<span class="announcement">📢 Announcement: </span>' + message;
+      if (entry.deleted === true) {
+        el_message.classList.add('deleted');
       }
 
-      let color = get_color(author_color);
-      add_message(msg_id, message, author, color, 0, badges, highlight);
-    },
-
-    youtube: (
-      message_id,
-      user_id,
-      user_name,
-      message,
-      timestamp
-      /* owner, moderator, sponsor,
-            verified */
-    ) => {
-      // TODO: Add message
-      // TODO: Add youtube logo as badge
-      // TODO: Add badges for owner, moderator, sponsor, verified
-
-      let platformStr = '';
-      if (config['ui']['pronouns'] && config['ui']['platforms']) {
-        platformStr = `(YouTube)`;
+      // Continue fading out where the message left off
+      if (fade_duration > 0) {
+        el_message.style.animation = get_message_animation(
+          fade_duration - (Date.now() - entry.received) / 1000
+        );
       }
+    }
+    this.restoring = false;
+  },
+};
 
-      let author = {
-        name: user_name,
-        id: user_id,
-        pronoun: platformStr,
-      };
+/**
+ * Scrolls a horizontal chat continuously from right to left like a news
+ * ticker. Every message is positioned on its own, so removing one never
+ * makes the others jump.
+ */
+const Ticker = {
+  /**
+   * The latest messages, shown again when chat is quiet and ticker_idle
+   * is loop
+   * @type {HTMLElement[]}
+   */
+  recent: [],
 
-      let color = get_user_color({
-        r: 'FF',
-        g: '00',
-        b: '00',
-      });
-      let badges = [
-        {
-          url: 'https://yt3.ggpht.com/m6yqTzfmHlsoKKEZRSZCkqf6cGSeHtStY4rIeeXLAk4N9GY_yw3dizdZoxTrjLhlY4r_rkz3GA=w24-h24-c-k-nd',
-        },
-      ];
-      message = htmlentities(message);
+  /**
+   * The messages on the ticker from left to right with their position and
+   * width, so a frame doesn't have to query or measure the page
+   * @type {{element: HTMLElement, x: number, width: number}[]}
+   */
+  items: [],
 
-      let yt_emote_width = '28';
-      let yt_emote_height = '28';
+  /**
+   * Time of the previous animation frame
+   * @type {number|null}
+   */
+  last_frame: null,
 
-      if (parseInt(config['ui']['emote_size']) > 0) {
-        yt_emote_width = config['ui']['emote_size'];
-        yt_emote_height = config['ui']['emote_size'];
-      }
+  /**
+   * Whether the next animation frame is requested. The ticker stops while
+   * nothing moves and starts again with the next message.
+   * @type {boolean}
+   */
+  running: false,
 
-      const yt_emotes = {
-        ':yt:': `https://yt3.ggpht.com/m6yqTzfmHlsoKKEZRSZCkqf6cGSeHtStY4rIeeXLAk4N9GY_yw3dizdZoxTrjLhlY4r_rkz3GA=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
-        ':oops:': `https://yt3.ggpht.com/qByNS7xmuQXsb_5hxW2ggxwQZRN8-biWVnnKuL5FK1zudxIeim48zRVPk6DRq_HgaeKltHhm=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
-        ':buffering:': `https://yt3.ggpht.com/foWgzjN0ggMAA0CzDPfPZGyuGwv_7D7Nf6FGLAiomW5RRXj0Fs2lDqs2U6L52Z4J2Zb-D5tCUAA=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
-        ':stayhome:': `https://yt3.ggpht.com/u3QDxda8o4jrk_b01YtJYKb57l8Zw8ks8mCwGkiZ5hC5cQP_iszbsggxIWquZhuLRBzl5IEM2w=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
-        ':dothefive:': `https://yt3.ggpht.com/ktU04FFgK_a6yaXCS1US-ReFkLjD22XllcIMOyBRHuYKLsrxpVxsauV1gSC2RPraMJWXpWcY=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
-        ':elbowbump:': `https://yt3.ggpht.com/gt39CIfizoIAce9a8IzjfrADV5CjTbSyFKUlLMXzYILxJRjwAgYQQJ9PXXxnRvrnTec7ZpfHN4k=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
-        ':goodvibes:': `https://yt3.ggpht.com/6LPOiCw9bYr3ZXe8AhUoIMpDe_0BglC4mBmi-uC4kLDqDIuPu4J3ErgV0lEhgzXiBluq-I8j=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
-        ':thanksdoc:': `https://yt3.ggpht.com/Av7Vf8FxIp0_dQg4cJrPcGmmL7v9RXraOXMp0ZBDN693ewoMTHbbS7D7V3GXpbtZPSNcRLHTQw=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
-        ':videocall:': `https://yt3.ggpht.com/bP-4yir3xZBWh-NKO4eGJJglr8m4dRnHrAKAXikaOJ0E5YFNkJ6IyAz3YhHMyukQ1kJNgQAo=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
-        ':virtualhug:': `https://yt3.ggpht.com/-o0Di2mE5oaqf_lb_RI3igd0fptmldMWF9kyQpqKWkdAd7M4cT5ZKzDwlmSSXdcBp3zVLJ41yg=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
-        ':yougotthis:': `https://yt3.ggpht.com/WxLUGtJzyLd4dcGaWnmcQnw9lTu9BW3_pEuCp6kcM2pxF5p5J28PvcYIXWh6uCm78LxGJVGn9g=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
-        ':sanitizer:': `https://yt3.ggpht.com/4PaPj_5jR1lkidYakZ4EkxVqNr0Eqp4g0xvlYt_gZqjTtVeyHBszqf57nB9s6uLh7d2QtEhEWEc=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
-        ':takeout:': `https://yt3.ggpht.com/ehUiXdRyvel0hba-BopQoDWTvM9ogZcMPaaAeR6IA9wkocdG21aFVN_IylxRGHtl2mE6L9jg1Do=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
-        ':hydrate:': `https://yt3.ggpht.com/Plqt3RM7NBy-R_eA90cIjzMEzo8guwE0KqJ9QBeCkPEWO7FvUqKU_Vq03Lmv9XxMrG6A3Ouwpg=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
-        ':chillwcat:': `https://yt3.ggpht.com/ZN5h05TnuFQmbzgGvIfk3bgrV-_Wp8bAbecOqw92s2isI6GLHbYjTyZjcqf0rKQ5t4jBtlumzw=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
-        ':chillwdog:': `https://yt3.ggpht.com/jiaOCnfLX0rqed1sISxULaO7T-ktq2GEPizX9snaxvMLxQOMmWXMmAVGyIbYeFS2IvrMpxvFcQ=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
-        ':elbowcough:': `https://yt3.ggpht.com/kWObU3wBMdHS43q6-ib2KJ-iC5tWqe7QcEITaNApbXEZfrik9E57_ve_BEPHO86z4Xrv8ikMdW0=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
-        ':learning:': `https://yt3.ggpht.com/LiS1vw8KUXmczimKGfA-toRYXOcV1o-9aGSNRF0dGLk15Da2KTAsU-DXkIao-S7-kCkSnJwt=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
-        ':washhands:': `https://yt3.ggpht.com/66Fn-0wiOmLDkoKk4FSa9vD0yymtWEulbbQK2x-kTBswQ2auer_2ftvmrJGyMMoqEGNjJtipBA=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
-        ':socialdist': `https://yt3.ggpht.com/0WD780vTqUcS0pFq423D8WRuA_T8NKdTbRztChITI9jgOqOxD2r6dthbu86P6fIggDR6omAPfnQ=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
-        ':shelterin:': `https://yt3.ggpht.com/KgaktgJ3tmEFB-gMtjUcuHd6UKq50b-S3PbHEOSUbJG7UddPoJSmrIzysXA77jJp5oRNLWG84Q=w${yt_emote_width}-h${yt_emote_height}-c-k-nd`,
-      };
+  /**
+   * Width of the chat in pixels, updated when the browser source is resized
+   * @type {number}
+   */
+  width: 0,
 
-      for (const e in yt_emotes) {
-        let el_emote = document.createElement('img');
-        el_emote.src = yt_emotes[e];
-        el_emote.style = `height: ${yt_emote_height}px; width: ${yt_emote_width}px;`;
+  /**
+   * @returns {boolean} True if the ticker is enabled
+   */
+  enabled() {
+    return config['ui']['ticker']['enabled'] === true;
+  },
 
-        message = message.replaceAll(e, el_emote.outerHTML);
-      }
+  /**
+   * @returns {object[]} The items of the messages on the ticker that aren't
+   *                     leaving the chat, from left to right
+   */
+  messages() {
+    return this.items.filter(
+      (item) => !item.element.classList.contains('exiting')
+    );
+  },
 
-      add_message(
-        message_id,
-        message,
-        author,
-        color,
-        timestamp,
-        badges,
-        Highlights.None
-      );
-    },
+  /**
+   * @param {{x: number, width: number}} item A message on the ticker
+   * @returns {number} The right edge of the message in pixels
+   */
+  right(item) {
+    return item.x + item.width;
+  },
 
-    trovo: (
-      message_id,
-      content,
-      // emotes,
-      timestamp,
-      userId,
-      // login,
-      userName
-      // profileUrl,
-      // medals,
-      // roles,
-      // streamer,
-      // moderator,
-      // subscriber,
-      // follower,
-      // tier,
-    ) => {
-      let platformStr = '';
-      if (config['ui']['pronouns'] && config['ui']['platforms']) {
-        platformStr = `(Trovo)`;
-      }
+  /**
+   * The translate property is used since the enter and exit animations
+   * change the transform of messages
+   *
+   * @param {{element: HTMLElement, x: number}} item A message on the ticker
+   * @param {number} x The new left edge of the message in pixels
+   */
+  move(item, x) {
+    item.x = x;
+    item.element.style.translate = `${x}px 0`;
+  },
 
-      let author = {
-        name: userName,
-        id: userId,
-        pronoun: platformStr,
-      };
+  /**
+   * Queues a message behind the last one on the ticker
+   *
+   * @param {HTMLElement} message The message, already added to the chat
+   * @param {boolean} [loop=false] True for copies of older messages
+   */
+  push(message, loop = false) {
+    if (!this.enabled()) {
+      return;
+    }
 
-      // rgb(45, 153, 102)
-      let color = get_user_color({
-        r: '2D',
-        g: '99',
-        b: '66',
+    if (loop === false) {
+      // New messages skip the copies that aren't visible yet
+      this.items = this.items.filter((item) => {
+        if (
+          item.element.classList.contains('ticker-loop') &&
+          item.x >= this.width
+        ) {
+          item.element.remove();
+          return false;
+        }
+        return true;
       });
 
-      add_message(
-        message_id,
-        content,
-        author,
-        color,
-        timestamp,
-        Highlights.None
-      );
-    },
-  },
-};
-
-/* let BeanBot = {
-    'message': {
-        'twitch': (message) => {
-            console.log(message);
-        }
+      this.recent.push(message);
+      this.recent = this.recent.slice(-config['ui']['ticker']['loop_count']);
     }
-} */
 
-/**
- * Checks if a message should be skipped.
- * @param {string} message The message to check
- * @param {string} user The user name to check
- * @returns {boolean} True if the message should be skipped, false otherwise
- */
-function skip_message(message, user) {
-  if (
-    (config['exclusion']['cmdprefix'] !== false &&
-      message.startsWith(config['exclusion']['cmdprefix'])) ||
-    config['exclusion']['bots'].includes(user.toLowerCase())
-  ) {
-    return true;
-  } else {
-    return false;
-  }
-}
+    const queued = this.messages();
+    const last = queued[queued.length - 1];
+    const item = { element: message, x: 0, width: message.offsetWidth };
+    this.move(
+      item,
+      last === undefined ? this.width : Math.max(this.width, this.right(last))
+    );
+    this.items.push(item);
+    this.wake();
+  },
 
-function remove_old_messages() {
-  let chat = document.getElementById('chat');
-  let messages = chat.getElementsByClassName('chat-message');
-  let messages_to_remove = [];
+  /**
+   * Measures a message again after its content changed, e.g. when its
+   * pronouns arrived. The messages behind it move along.
+   *
+   * @param {HTMLElement} message The changed message
+   */
+  resize(message) {
+    const index = this.items.findIndex((item) => item.element === message);
+    if (index === -1) {
+      return;
+    }
 
-  // Remove old messages when there are more than the max_messages setting
-  if (config['ui']['max_messages'] !== false) {
-    let max_messages = config['ui']['max_messages'];
-    if (messages.length > max_messages) {
-      for (let i = 0; i < messages.length - max_messages; i++) {
-        messages_to_remove.push(messages[i]);
-      }
+    const delta = message.offsetWidth - this.items[index].width;
+    this.items[index].width += delta;
+    for (const item of this.items.slice(index + 1)) {
+      this.move(item, item.x + delta);
     }
-  }
+    this.wake();
+  },
 
-  for (let i = 0; i < messages.length; i++) {
-    // Remove messages that are outside the bounding box
-    // bottom when vertical scrolling is enabled,
-    // right when horizontal scrolling is enabled
-    if (
-      (config['ui']['direction'] === 'vertical' &&
-        messages[i].getBoundingClientRect().bottom < 0) ||
-      (config['ui']['direction'] === 'horizontal' &&
-        messages[i].getBoundingClientRect().right < 0)
-    ) {
-      messages_to_remove.push(messages[i]);
+  /**
+   * Stops showing deleted messages again when chat is quiet. The latest
+   * messages may have scrolled off already, so they are matched by their
+   * id, user and platform rather than by the element on the chat.
+   *
+   * @param {function(HTMLElement): boolean} matches Selects the messages
+   */
+  forget(matches) {
+    this.recent = this.recent.filter((message) => !matches(message));
+  },
+
+  /**
+   * Adds copies of the latest messages behind the last one
+   */
+  loop() {
+    const chat = document.getElementById('chat');
+    for (const message of this.recent) {
+      const copy = message.cloneNode(true);
+      copy.removeAttribute('id');
+      copy.dataset.copyOf = message.id;
+      copy.style.removeProperty('animation');
+      copy.classList.add('ticker-loop');
+      remove_when_faded(copy);
+      chat.appendChild(copy);
+      this.push(copy, true);
     }
+    update_message_groups();
+  },
 
-    // Remove messages that are older than the max age (fade_duration)
-    else if (
-      parseInt(config['ui']['fade_duration']) > 0 &&
-      window.getComputedStyle(messages[i]).opacity === '0'
-    ) {
-      messages_to_remove.push(messages[i]);
+  /**
+   * Moves the messages by one animation frame
+   *
+   * @param {number} time The time of the frame in milliseconds
+   */
+  step(time) {
+    // Don't jump ahead after the browser source was hidden
+    const elapsed =
+      this.last_frame === null
+        ? 0
+        : Math.min(time - this.last_frame, 100) / 1000;
+    this.last_frame = time;
+
+    const ticker = config['ui']['ticker'];
+
+    // Forget messages that were removed, e.g. after they faded out, and
+    // remove messages that left on the left side
+    const passed = this.items.filter(
+      (item) => item.element.isConnected && this.right(item) < 0
+    );
+    passed.forEach((item) => item.element.remove());
+    this.items = this.items.filter((item) => item.element.isConnected);
+    if (passed.length > 0) {
+      update_message_groups();
     }
-  }
 
-  for (let message of messages_to_remove) {
-    chat.removeChild(message);
-  }
-}
+    let messages = this.messages();
+    let backlog =
+      messages.length > 0
+        ? this.right(messages[messages.length - 1]) - this.width
+        : 0;
 
-function remove_messages_by_user_id(user_id) {
-  console.debug('Removing messages by user id: ' + user_id);
+    if (backlog <= 0 && ticker['idle'] === 'loop' && this.recent.length > 0) {
+      this.loop();
+      messages = this.messages();
+      backlog = this.right(messages[messages.length - 1]) - this.width;
+    }
 
-  let chat = document.getElementById('chat');
-  let messages = chat.getElementsByClassName('chat-message');
-  let messages_to_remove = [];
+    // Pause once the last message is fully visible, until the next one
+    // arrives
+    if (backlog <= 0) {
+      this.running = false;
+      this.last_frame = null;
+      return;
+    }
 
-  for (let i = 0; i < messages.length; i++) {
-    if (parseInt(messages[i].dataset.userId) === user_id) {
-      messages_to_remove.push(messages[i]);
+    // Catch up faster the more messages are waiting
+    const speed = Math.min(
+      ticker['max_speed'],
+      ticker['speed'] * (1 + backlog / this.width)
+    );
+    // Exiting messages keep moving while they fade out
+    for (const item of this.items) {
+      this.move(item, item.x - speed * elapsed);
     }
-  }
 
-  for (let message of messages_to_remove) {
-    chat.removeChild(message);
-  }
-}
+    window.requestAnimationFrame((time) => this.step(time));
+  },
 
-function remove_messages_by_message_id(message_id) {
-  console.debug('Removing messages by message id: ' + message_id);
+  /**
+   * Requests the next animation frame unless the ticker is already running
+   */
+  wake() {
+    if (this.running) {
+      return;
+    }
 
-  let chat = document.getElementById('chat');
-  let messages = chat.getElementsByClassName('chat-message');
-  let messages_to_remove = [];
+    this.running = true;
+    window.requestAnimationFrame((time) => this.step(time));
+  },
 
-  for (let i = 0; i < messages.length; i++) {
-    if (messages[i].id === message_id) {
-      messages_to_remove.push(messages[i]);
+  /**
+   * Starts scrolling if the ticker is enabled
+   */
+  start() {
+    if (!this.enabled()) {
+      return;
     }
-  }
 
-  for (let message of messages_to_remove) {
-    chat.removeChild(message);
-  }
-}
+    const chat = document.getElementById('chat');
+    this.width = chat.clientWidth;
+    window.addEventListener('resize', () => {
+      this.width = chat.clientWidth;
+      this.wake();
+    });
+    this.wake();
+  },
+};
 
 function initializeTheme() {
   // Set up the UI
@@ -1059,6 +4093,10 @@ function initializeTheme() {
     document.getElementById('enable-horizontal').removeAttribute('type');
   }
 
+  if (config['ui']['ticker']['enabled'] === true) {
+    document.getElementById('enable-ticker').removeAttribute('type');
+  }
+
   if (
     config['ui']['bubbles']['enabled'] === true &&
     config['ui']['direction'] === 'horizontal'
@@ -1066,6 +4104,14 @@ function initializeTheme() {
     document.getElementById('horizontal-bubbles').removeAttribute('type');
   }
 
+  // The theme's styles come after the layout styles above so they can
+  // change them
+  const theme_style = document.getElementById(`theme-${config['ui']['theme']}`);
+  if (theme_style !== null) {
+    theme_style.removeAttribute('type');
+  }
+  document.body.dataset.theme = config['ui']['theme'];
+
   // Create a new CSS style element and add it to the DOM
   const customStyle = document.getElementById('user-styles').sheet;
 
@@ -1093,235 +4139,555 @@ function initializeTheme() {
   // Add the custom CSS defined by the user configuration to the style element
   // we defined above
 
-  // We define some variables to make the code and reduce mistakes made
-  // with class names
-  let announce = '.announcement',
-    message = '.chat-message',
-    username = '.msg-user',
-    bubble = '.bubble',
-    highlight = '.highlight';
-
   // Rules for sizes and fonts
   addCSSRule(config['ui']['font']['family'], 'body', 'font-family');
   addCSSRule(config['ui']['font']['size'], 'body', 'font-size');
-  addCSSRule(config['ui']['emote_size'], `${message} > img`, 'width');
+  addCSSRule(config['ui']['emote_size'], '.chat-message > img', 'width');
+  addCSSRule(config['ui']['avatars']['size'], ':root', '--avatar-size');
 
   // Rules for colors
-  //addCSSRule(config['ui']['colors']['default'], `${message}.defaultcolor`, 'color');
+  // Colours of single messages are set as CSS variables by add_message,
+  // only the defaults for the whole page are set here
   addCSSRule(
     config['ui']['colors']['page_background'],
     'body',
     'background-color'
   );
+  addCSSRule(config['ui']['colors']['message'], ':root', '--message-color');
 
-  // Some colors are applied to different elements depending on the bubble settings
+  // Some rules only apply to bubbles
   if (config['ui']['bubbles']['enabled'] === true) {
-    addCSSRule(config['ui']['colors']['bubble_border'], bubble, 'border-color');
     addCSSRule(
       config['ui']['bubbles']['border']['radius'],
-      bubble,
+      '.bubble',
       'border-radius'
     );
     addCSSRule(
       config['ui']['bubbles']['border']['size'],
-      bubble,
+      '.bubble',
       'border-width'
     );
-
-    addCSSRule(
-      config['ui']['colors']['text_background'],
-      username,
-      'background-color'
-    );
-    addCSSRule(config['ui']['colors']['message'], message, 'color');
-    addCSSRule(config['ui']['colors']['text'], username, 'color');
-  } else {
-    addCSSRule(
-      config['ui']['colors']['text'],
-      `${message}:not(${highlight}, ${announce}) ${username}`,
-      'color',
-      true
-    );
-    addCSSRule(
-      config['ui']['colors']['message'],
-      `${message}:not(${highlight}, ${announce})`,
-      'color',
-      true
-    );
   }
 
   // Rules for animations
+  const fade_duration = parseInt(config['ui']['fade_duration']);
   addCSSRule(
-    config['ui']['fade_duration'],
-    message,
-    'transition: max-height 0.3s ease-out; animation: chat 1s ease ' +
-      config['ui']['fade_duration'] +
-      's 1 normal forwards; margin-left: 0.5rem; float: left;'
-  );
-
-  // Rules for announcements
-  addCSSRule(
-    config['ui']['colors']['announcement']['text'],
-    announce,
-    'color',
-    true
-  );
-  addCSSRule(
-    config['ui']['colors']['announcement']['text'],
-    `${announce} ${username}`,
-    'color',
-    true
-  );
-  addCSSRule(
-    config['ui']['colors']['announcement']['background'],
-    announce,
-    'background-color'
-  );
-
-  // Rules for highlights
-  addCSSRule(
-    config['ui']['colors']['highlight']['text'],
-    highlight,
-    'color',
-    true
-  );
-  addCSSRule(
-    config['ui']['colors']['highlight']['text'],
-    `${highlight} ${username}`,
-    'color',
-    true
+    get_message_animation(fade_duration > 0 ? fade_duration : false),
+    '.chat-message',
+    'animation'
   );
   addCSSRule(
-    config['ui']['colors']['highlight']['background'],
-    highlight,
-    'background-color'
+    fade_duration > 0 ? '0.5rem' : null,
+    '.chat-message',
+    'margin-left'
   );
+  addCSSRule(fade_duration > 0 ? 'left' : null, '.chat-message', 'float');
 }
 
-// Real events
-function initializeConnections() {
-  let m;
-  // Twitch Chat Message
-  client.on('Twitch.ChatMessage', (wsdata) => {
-    // console.log(wsdata.data.message);
-    m = wsdata.data.message;
-    StreamerBot['message']['twitch'](
-      m.msgId,
-      m.userId,
-      m.displayName,
-      m.color,
-      m.message,
-      m.emotes,
-      // m.role,
-      m.badges,
-      m.isHighlighted ? Highlights.Highlight : Highlights.None
-    );
-  });
+/**
+ * Streamer.bot as a chat source, connected through its websocket server.
+ * Every configured websocket URI gets its own instance.
+ */
+class StreamerBot {
+  config = 'streamerbot';
+
+  /**
+   * @type {StreamerbotClient|null}
+   */
+  client = null;
+
+  /**
+   * @param {string} name The name for the ConnectionStatus
+   * @param {string} uri The websocket URI of this Streamer.bot
+   * @param {boolean} [primary=false] True for the first websocket, its
+   *                                  channel is used for the channel emotes
+   */
+  constructor(name, uri, primary = false) {
+    this.name = name;
+    this.uri = uri;
+    this.primary = primary;
+  }
 
-  // Twitch Announcement
-  client.on('Twitch.Announcement', (wsdata) => {
-    m = wsdata.data;
-    if (config['ui']['announcements'] === false) {
+  async connect() {
+    // Reconnects reuse the client and its listeners
+    if (this.client !== null) {
+      try {
+        await this.client.connect();
+      } catch (error) {
+        console.debug(`Failed to reconnect to Streamer.bot: ${error}`);
+      }
       return;
     }
 
-    let color = '';
-    switch (m.announcementColor.toLowerCase()) {
-      case 'blue':
-        color = '#0099ff';
-        break;
-      case 'green':
-        color = '#00ff00';
-        break;
-      case 'orange':
-        color = '#ff9900';
-        break;
-      case 'purple':
-        color = '#9900ff';
-        break;
-      default:
-        color = m.color;
-        break;
+    const websocket = StreamerBot.websocket(this.uri);
+    if (websocket === null) {
+      console.error(`Invalid Streamer.bot websocket URI '${this.uri}'`);
+      Plugins.status(this, ConnectionStatus.ERROR);
+      return;
     }
 
-    StreamerBot['message']['twitch'](
-      m.msgId,
-      m.userId,
-      m.displayName,
-      color,
-      m.message,
-      m.emotes,
-      m.role,
-      m.badges,
-      Highlights.Announcement
-    );
-  });
+    this.client = new StreamerbotClient({
+      ...websocket,
+      password:
+        websocket.password ||
+        config['plugins']['streamerbot']['password'] ||
+        undefined,
+      // Reconnects are handled by Plugins.reconnect
+      autoReconnect: false,
+      onConnect: (sbInfo) => {
+        const sbName = sbInfo.name;
+        console.log(
+          `Connected to Streamer.bot '${sbName}' on ${websocket.host}:${websocket.port}`
+        );
+        Plugins.status(this, ConnectionStatus.CONNECTED);
+        // Other instances can be connected to another account, their
+        // channel emotes would replace the ones of the primary channel
+        if (this.primary) {
+          this.load_broadcaster();
+        }
+      },
+      onDisconnect: () => {
+        // The client is removed first when we disconnect on purpose
+        if (this.client === null) {
+          return;
+        }
 
-  // Twitch User Timed Out
-  client.on('Twitch.UserTimedOut', (wsdata) => {
-    remove_messages_by_user_id(wsdata.data.target_user_id);
-  });
+        console.warn(`Disconnected from Streamer.Bot socket ${this.uri}`);
+        Plugins.status(this, ConnectionStatus.DISCONNECTED);
+        Plugins.reconnect(this);
+      },
+      onError: (error) => {
+        console.error(`Streamer.bot connection error: ${error}`);
+        Plugins.status(this, ConnectionStatus.ERROR);
+      },
+    });
 
-  // Twitch User Banned
-  client.on('Twitch.UserBanned', (wsdata) => {
-    remove_messages_by_user_id(wsdata.data.target_user_id);
-  });
+    this.listen();
+  }
 
-  // Twitch Chat Message Deleted
-  client.on('Twitch.ChatMessageDeleted', (wsdata) => {
-    remove_messages_by_message_id(wsdata.data.targetMessageId);
-  });
+  disconnect() {
+    if (this.client !== null) {
+      const client = this.client;
+      this.client = null;
+      client.disconnect();
+    }
+  }
 
-  // YouTube Message
-  client.on('YouTube.Message', (wsdata) => {
-    let m = wsdata.data;
+  /**
+   * Splits a websocket URI into the options of the StreamerbotClient
+   *
+   * @param {string} uri A URI like ws://127.0.0.1:8080/ or wss://host/path,
+   *                     ws://:password@host:port/ sets a password
+   * @returns {{scheme: string, host: string, port: number, endpoint: string,
+   *            password: string}|null} The options, null if the URI is invalid
+   */
+  static websocket(uri) {
+    let url;
+    try {
+      url = new URL(uri);
+    } catch (error) {
+      return null;
+    }
 
-    if (skip_message(m.message, m.user['name'])) {
-      return;
+    const scheme = url.protocol.replace(/:$/, '');
+    if (scheme !== 'ws' && scheme !== 'wss') {
+      return null;
     }
 
-    StreamerBot['message']['youtube'](
-      m.eventId,
-      m.user.id,
-      m.user.name,
-      m.message,
-      m.user.isOwner,
-      m.user.isModerator,
-      m.user.isSponsor,
-      m.user.isVerified
-    );
-  });
+    return {
+      scheme: scheme,
+      host: url.hostname,
+      port: parseInt(url.port) || (scheme === 'wss' ? 443 : 80),
+      endpoint: url.pathname || '/',
+      password: decodeURIComponent(url.password),
+    };
+  }
 
-  client.on('YouTube.MessageDeleted', (wsdata) => {
-    console.debug(['Message deleted', wsdata]);
-    remove_messages_by_message_id(wsdata.data.eventId);
-  });
+  /**
+   * Tells Chat which Twitch channel Streamer.bot is connected to
+   */
+  async load_broadcaster() {
+    try {
+      const broadcaster = await this.client.getBroadcaster();
+      Chat.broadcaster(broadcaster.platforms.twitch.broadcastUserId);
+    } catch (error) {
+      console.error(`Failed to get the Twitch channel for emotes: ${error}`);
+    }
+  }
 
-  client.on('YouTube.UserBanned', (wsdata) => {
-    console.debug(['User banned', wsdata]);
-    remove_messages_by_user_id(wsdata.data.user.id);
-  });
+  /**
+   * Translates the Streamer.bot events into Chat events
+   */
+  listen() {
+    let m;
+    // Twitch Chat Message
+    this.client.on('Twitch.ChatMessage', (wsdata) => {
+      // console.log(wsdata.data.message);
+      m = wsdata.data.message;
+      // Like on YouTube, the profile picture comes with the user of the
+      // message. Older Streamer.bot versions don't send it.
+      const avatar = wsdata.data.user?.profileImageUrl;
+
+      // Cheers are shown once as event together with their message when
+      // cheer events are enabled
+      if (config['ui']['events']['cheer'] === true && m.bits > 0) {
+        const cheermotes = get_cheermotes(m);
+        Chat.event({
+          id: m.msgId,
+          platform: 'twitch',
+          highlight: Highlights.Cheer,
+          author: {
+            id: m.userId,
+            name: m.displayName,
+            color: get_cheer_tier(m.bits).color,
+            avatar: avatar,
+          },
+          description: `${m.displayName} cheered ${m.bits} bits!`,
+          text: m.message,
+          emotes: (m.emotes || []).concat(
+            m.bits >= config['ui']['cheers']['min_bits'] ? cheermotes : []
+          ),
+          badges: get_twitch_badges(m.badges),
+        });
+        return;
+      }
 
-  client.on('Trovo.ChatMessage', (wsdata) => {
-    let m = wsdata.data;
-    StreamerBot['message']['trovo'](
-      m.message_id,
-      m.content,
-      // m.emotes,
-      m.timestamp,
-      m.user.userId,
-      // m.user.login,
-      m.user.userName
-      // m.user.profileUrl,
-      // m.medals,
-      // m.roles,
-      // m.streamer,
-      // m.moderator,
-      // m.subscriber,
-      // m.follower,
-      // m.tier,
-    );
-  });
+      Chat.message({
+        id: m.msgId,
+        platform: 'twitch',
+        author: {
+          id: m.userId,
+          name: m.displayName,
+          color: m.color,
+          avatar: avatar,
+        },
+        text: m.message,
+        emotes: m.emotes,
+        cheermotes: get_cheermotes(m),
+        badges: get_twitch_badges(m.badges),
+        highlight: m.isHighlighted ? Highlights.Highlight : Highlights.None,
+        timestamp: wsdata.timeStamp,
+      });
+    });
+
+    // Twitch events, events without a user are skipped
+    this.client.on('Twitch.Sub', (wsdata) => {
+      const d = wsdata.data;
+      const user = get_event_user(d.userId, d.displayName);
+      if (user === null) {
+        return;
+      }
+
+      const tier = get_sub_tier(d);
+      Chat.event({
+        id: get_event_id('sub', user, wsdata.timeStamp),
+        platform: 'twitch',
+        highlight: Highlights.Sub,
+        author: {
+          id: user.id,
+          name: user.name,
+          color: TWITCH_EVENT_COLORS['sub'],
+        },
+        description: `${user.name} subscribed${tier ? ` with ${tier}` : ''}!`,
+      });
+    });
+
+    this.client.on('Twitch.ReSub', (wsdata) => {
+      const d = wsdata.data;
+      const user = get_event_user(d.userId, d.displayName);
+      if (user === null) {
+        return;
+      }
+
+      Chat.event({
+        id: get_event_id('resub', user, wsdata.timeStamp),
+        platform: 'twitch',
+        highlight: Highlights.ReSub,
+        author: {
+          id: user.id,
+          name: user.name,
+          color: TWITCH_EVENT_COLORS['resub'],
+        },
+        description: `${user.name} resubscribed for ${d.cumulativeMonths} months!`,
+        text: d.message,
+        emotes: d.emotes,
+      });
+    });
+
+    this.client.on('Twitch.GiftSub', (wsdata) => {
+      const d = wsdata.data;
+      const user = d.isAnonymous
+        ? { id: 0, name: 'Anonymous' }
+        : get_event_user(d.userId, d.displayName);
+      if (user === null) {
+        return;
+      }
+
+      Chat.event({
+        id: get_event_id(
+          'giftsub',
+          user,
+          wsdata.timeStamp,
+          d.recipientDisplayName || ''
+        ),
+        platform: 'twitch',
+        highlight: Highlights.GiftSub,
+        author: {
+          id: user.id,
+          name: user.name,
+          color: TWITCH_EVENT_COLORS['giftsub'],
+        },
+        description: d.recipientDisplayName
+          ? `${user.name} gifted a sub to ${d.recipientDisplayName}!`
+          : `${user.name} gifted a sub!`,
+      });
+    });
+
+    this.client.on('Twitch.GiftBomb', (wsdata) => {
+      const d = wsdata.data;
+      const user = d.isAnonymous
+        ? { id: 0, name: 'Anonymous' }
+        : get_event_user(d.userId, d.displayName);
+      if (user === null) {
+        return;
+      }
+
+      Chat.event({
+        id: get_event_id('giftbomb', user, wsdata.timeStamp),
+        platform: 'twitch',
+        highlight: Highlights.GiftBomb,
+        author: {
+          id: user.id,
+          name: user.name,
+          color: TWITCH_EVENT_COLORS['giftbomb'],
+        },
+        description: `${user.name} is gifting ${d.gifts} subs to the community!`,
+      });
+    });
+
+    this.client.on('Twitch.Raid', (wsdata) => {
+      const d = wsdata.data;
+      const user = get_event_user(
+        d.from_broadcaster_user_id,
+        d.from_broadcaster_user_name
+      );
+      if (user === null) {
+        return;
+      }
+
+      Chat.event({
+        id: get_event_id('raid', user, wsdata.timeStamp),
+        platform: 'twitch',
+        highlight: Highlights.Raid,
+        author: {
+          id: user.id,
+          name: user.name,
+          color: TWITCH_EVENT_COLORS['raid'],
+        },
+        description: `${user.name} is raiding with ${d.viewers} viewers!`,
+      });
+    });
+
+    this.client.on('Twitch.Follow', (wsdata) => {
+      const d = wsdata.data;
+      const user = get_event_user(d.user_id, d.user_name);
+      if (user === null) {
+        return;
+      }
+
+      // Twitch sends the time of the follow, which is the same for every
+      // Streamer.bot instance
+      Chat.event({
+        id: get_event_id('follow', user, d.followed_at || wsdata.timeStamp),
+        platform: 'twitch',
+        highlight: Highlights.Follow,
+        author: {
+          id: user.id,
+          name: user.name,
+          color: TWITCH_EVENT_COLORS['follow'],
+        },
+        description: `${user.name} is now following!`,
+      });
+    });
+
+    // Twitch Announcement
+    this.client.on('Twitch.Announcement', (wsdata) => {
+      m = wsdata.data;
+      if (config['ui']['announcements'] === false) {
+        return;
+      }
+
+      let color = '';
+      switch (m.announcementColor.toLowerCase()) {
+        case 'blue':
+          color = '#0099ff';
+          break;
+        case 'green':
+          color = '#00ff00';
+          break;
+        case 'orange':
+          color = '#ff9900';
+          break;
+        case 'purple':
+          color = '#9900ff';
+          break;
+        default:
+          color = m.color;
+          break;
+      }
+
+      Chat.message({
+        id: m.msgId,
+        platform: 'twitch',
+        author: { id: m.userId, name: m.displayName, color: color },
+        text: m.message,
+        emotes: m.emotes,
+        badges: get_twitch_badges(m.badges),
+        highlight: Highlights.Announcement,
+        timestamp: wsdata.timeStamp,
+      });
+    });
+
+    // Twitch User Timed Out
+    this.client.on('Twitch.UserTimedOut', (wsdata) => {
+      Chat.remove_user('twitch', wsdata.data.target_user_id);
+    });
+
+    // Twitch User Banned
+    this.client.on('Twitch.UserBanned', (wsdata) => {
+      Chat.remove_user('twitch', wsdata.data.target_user_id);
+    });
+
+    // Twitch Chat Message Deleted
+    this.client.on('Twitch.ChatMessageDeleted', (wsdata) => {
+      Chat.remove_message(wsdata.data.targetMessageId);
+    });
+
+    // Twitch Chat Cleared (/clear)
+    this.client.on('Twitch.ChatCleared', () => {
+      Chat.clear('twitch');
+    });
+
+    // YouTube Message
+    this.client.on('YouTube.Message', (wsdata) => {
+      let m = wsdata.data;
+      Chat.message({
+        id: m.eventId,
+        platform: 'youtube',
+        author: {
+          id: m.user.id,
+          name: m.user.name,
+          color: get_youtube_color(m.user),
+          avatar: m.user.profileImageUrl,
+        },
+        text: m.message,
+        parts: m.parts,
+        badges: get_youtube_badges(m.user),
+        timestamp: m.publishedAt || wsdata.timeStamp,
+      });
+    });
+
+    this.client.on('YouTube.MessageDeleted', (wsdata) => {
+      console.debug(['Message deleted', wsdata]);
+      Chat.remove_message(wsdata.data.eventId);
+    });
+
+    this.client.on('YouTube.UserBanned', (wsdata) => {
+      console.debug(['User banned', wsdata]);
+      Chat.remove_user('youtube', wsdata.data.user.id);
+    });
+
+    this.client.on('Trovo.ChatMessage', (wsdata) => {
+      let m = wsdata.data;
+      Chat.message({
+        id: m.message_id,
+        platform: 'trovo',
+        author: {
+          id: m.user.userId,
+          name: m.user.userName,
+          avatar: m.user.profileUrl,
+        },
+        text: m.content,
+        emotes: m.emotes,
+        badges: get_trovo_badges(m),
+        // Trovo message types 6 to 9 are the different kinds of Magic Chat
+        highlight:
+          parseInt(m.type) >= 6 && parseInt(m.type) <= 9
+            ? Highlights.Highlight
+            : Highlights.None,
+        timestamp: m.timestamp || wsdata.timeStamp,
+      });
+    });
+
+    if (config['plugins']['streamerbot']['kick'] === true) {
+      // Streamer.bot sends Kick messages with the same user, text and
+      // messageId fields as its other chat messages. Kick has no deletion
+      // event in Streamer.bot, so deleted Kick messages stay in the chat.
+      this.client.on('Kick.ChatMessage', (wsdata) => {
+        const m = wsdata.data;
+        const user = m.user || {};
+        if (!user.name || typeof m.text !== 'string') {
+          console.debug(['Skipping Kick message without user', wsdata]);
+          return;
+        }
+
+        const message = parse_kick_emotes(m.text);
+        Chat.message({
+          id: m.messageId,
+          platform: 'kick',
+          author: {
+            id: user.id,
+            name: user.name,
+            color: user.color,
+          },
+          text: message.text,
+          emotes: message.emotes,
+          badges: get_kick_badges(user.badges),
+          timestamp: wsdata.timeStamp,
+        });
+      });
+
+      // Timed out users lose their messages just like banned users
+      const remove_user = (wsdata) => {
+        const user = wsdata.data.user;
+        if (user && user.id !== undefined) {
+          Chat.remove_user('kick', user.id);
+        }
+      };
+      this.client.on('Kick.UserBanned', remove_user);
+      this.client.on('Kick.UserTimedOut', remove_user);
+    }
+  }
+}
+
+config['plugins']['streamerbot']['websockets'].forEach((uri, index) => {
+  Plugins.register(
+    new StreamerBot(
+      index === 0 ? 'StreamerBot' : `StreamerBot${index + 1}`,
+      uri,
+      index === 0
+    )
+  );
+});
+
+/*
+ * Bean.Bot isn't supported yet. A plugin for it would look like this:
+ *
+ * const BeanBot = {
+ *   name: 'BeanBot',
+ *   connect() {
+ *     // Connect to config['plugins']['beanbot']['websocket'] and call
+ *     // Plugins.status(this, ConnectionStatus.CONNECTED) once connected,
+ *     // then hand its messages to Chat.message({...}), see ChatMessage
+ *   },
+ *   disconnect() {},
+ * };
+ *
+ * Plugins.register(BeanBot);
+ */
+
+function initializeConnections() {
+  Plugins.connect();
 
   // The browser is creating elements faster than it can count them
   // If we don't wait a bit, the message count will be wrong and
@@ -1330,6 +4696,15 @@ function initializeConnections() {
 }
 
 initializeTheme();
+ThirdPartyEmotes.initialize();
+Ticker.start();
+
+if (
+  config['ui']['timestamp']['enabled'] === true &&
+  config['ui']['timestamp']['format'] === 'relative'
+) {
+  setInterval(update_relative_timestamps, 10000);
+}
 if (config['debug'] === true) {
   // Debugging is used in the Overlay generator live preview
   const messages = ['Are you a robot?', 'How are you?', 'Happy birthday!'];
@@ -1586,10 +4961,10 @@ if (config['debug'] === true) {
 
   setInterval(() => {
     let pronounDebug = '';
-    if (usePronouns) {
-      const rnd = getRnd(Object.keys(pronouns).length - 1);
-      const pronounKey = Object.keys(pronouns)[rnd];
-      pronounDebug = `${pronouns[pronounKey].subject}/${pronouns[pronounKey].object}`;
+    if (config['ui']['pronouns'] === true && Pronouns.definitions !== null) {
+      const pronounKeys = Object.keys(Pronouns.definitions);
+      const pronounKey = pronounKeys[getRnd(pronounKeys.length - 1)];
+      pronounDebug = `${Pronouns.definitions[pronounKey].subject}/${Pronouns.definitions[pronounKey].object}`;
     }
     let messagesEmote;
     let username = names[getRnd(names.length - 1)];
@@ -1614,53 +4989,95 @@ if (config['debug'] === true) {
 
     let random = Math.random();
     if (
-      random <= 0.33 &&
+      random <= 0.25 &&
       config['plugins']['streamerbot']['enabled'] === true &&
       config['plugins']['streamerbot']['twitch'] === true
     ) {
-      let highlightkeys = Object.keys(Highlights);
-      StreamerBot['message']['twitch'](
-        String(Math.random()), // msg_id
-        Math.floor(Math.random() * 10000000), // user_id
-        username, // author
-        get_color_hex(colors[getRnd(colors.length - 1)]), // author_color
-        message, // message
-        messagesEmote, // emotes
-        // getRnd(4, 0),  // role
-        badges[getRnd(badges.length - 1)], // badges
-        Highlights[highlightkeys[(highlightkeys.length * Math.random()) << 0]], // highlight
-        pronounDebug // random pronoun
+      // Events are rendered by Chat.event below
+      let highlightkeys = Object.keys(Highlights).filter(
+        (key) => get_event_key(Highlights[key]) === null
       );
+      Chat.message({
+        id: String(Math.random()),
+        platform: 'twitch',
+        author: {
+          id: Math.floor(Math.random() * 10000000),
+          name: username,
+          color: get_color_hex(colors[getRnd(colors.length - 1)]),
+          pronoun: pronounDebug,
+        },
+        text: message,
+        emotes: messagesEmote,
+        badges: get_twitch_badges(badges[getRnd(badges.length - 1)]),
+        highlight:
+          Highlights[
+            highlightkeys[(highlightkeys.length * Math.random()) << 0]
+          ],
+      });
     } else if (
-      random > 0.33 &&
-      random <= 0.66 &&
+      random > 0.25 &&
+      random <= 0.5 &&
       config['plugins']['streamerbot']['enabled'] === true &&
       config['plugins']['streamerbot']['youtube'] === true
     ) {
-      StreamerBot['message']['youtube'](
-        String(Math.random()), // message_id
-        Math.floor(Math.random() * 10000000), // user_id
-        username, // user_name
-        message, // message
-        0 // timestamp
-      );
+      Chat.message({
+        id: String(Math.random()),
+        platform: 'youtube',
+        author: { id: Math.floor(Math.random() * 10000000), name: username },
+        text: message,
+        badges: get_youtube_badges({}),
+      });
     } else if (
-      random > 0.66 &&
+      random > 0.5 &&
+      random <= 0.75 &&
       config['plugins']['streamerbot']['enabled'] === true &&
       config['plugins']['streamerbot']['trovo'] === true
     ) {
-      StreamerBot['message']['trovo'](
-        String(Math.random()), // message_id
-        message, // content
-        0, // timestamp
-        Math.floor(Math.random() * 10000000), // userId
-        username // userName
-      );
+      Chat.message({
+        id: String(Math.random()),
+        platform: 'trovo',
+        author: { id: Math.floor(Math.random() * 10000000), name: username },
+        text: message,
+      });
+    } else if (
+      random > 0.75 &&
+      config['plugins']['streamerbot']['enabled'] === true &&
+      config['plugins']['streamerbot']['kick'] === true
+    ) {
+      Chat.message({
+        id: String(Math.random()),
+        platform: 'kick',
+        author: {
+          id: Math.floor(Math.random() * 10000000),
+          name: username,
+          color: get_color_hex(colors[getRnd(colors.length - 1)]),
+        },
+        text: message,
+      });
+    }
+
+    const events = TWITCH_EVENTS.filter((e) => config['ui']['events'][e]);
+    if (events.length > 0 && Math.random() <= 0.2) {
+      const event = events[getRnd(events.length - 1)];
+      Chat.event({
+        id: String(Math.random()),
+        platform: 'twitch',
+        highlight: Object.values(Highlights).find(
+          (h) => get_event_key(h) === event
+        ),
+        author: {
+          id: Math.floor(Math.random() * 10000000),
+          name: username,
+          color: TWITCH_EVENT_COLORS[event] || CHEER_TIERS[1].color,
+        },
+        description: `${username} triggered a ${event} event!`,
+      });
     }
 
     remove_old_messages();
   }, 2000);
 } else {
+  ChatHistory.restore();
   initializeConnections();
 }
 
@@ -0,0 +1,74 @@
+/**
+ * Built-in themes, selected with the theme parameter.
+ *
+ * The params of a theme are defaults for the URL parameters, so every option
+ * in the URL still overrides them. The styles of a theme live in the
+ * <style id="theme-NAME"> block in index.html.
+ *
+ * Shared by the overlay and the URL generator.
+ */
+const THEMES = {
+  default: {
+    label: 'Default',
+    description: 'The classic chat log with coloured user names',
+    params: {},
+  },
+
+  minimal: {
+    label: 'Minimal',
+    description: 'Just names and messages, without badges or extras',
+    params: {
+      badges: 'false',
+      pronouns: 'false',
+      platforms: 'false',
+      timestamp: 'false',
+      fontsize: 'medium',
+    },
+  },
+
+  bubbles: {
+    label: 'Bubbles',
+    description: 'Rounded message bubbles in the colour of each user',
+    params: {
+      bubbles: 'true',
+      bubble_border_radius: '1rem',
+      bubble_border_size: '2px',
+    },
+  },
+
+  neon: {
+    label: 'Neon',
+    description: 'Glowing names and text for dark scenes',
+    params: {
+      msg_color: 'F0F0FF',
+      backdrop_color: '000000',
+      min_contrast: '7',
+    },
+  },
+
+  terminal: {
+    label: 'Terminal',
+    description: 'Green monospace text on a black console',
+    params: {
+      fontfamily: 'Courier New',
+      fontsize: 'medium',
+      msg_color: '33FF33',
+      backdrop_color: '000000',
+      badges: 'false',
+      timestamp: 'true',
+      timestamp_format: '24h',
+    },
+  },
+
+  ticker: {
+    label: 'Ticker',
+    description: 'A single line of messages for the bottom of your scene',
+    params: {
+      direction: 'horizontal',
+      ticker: 'true',
+      pronouns: 'false',
+      platforms: 'false',
+      max_messages: '20',
+    },
+  },
+};